@@ -1,42 +1,173 @@
 /**
  * ARCHITECTURE:
- * - State is persisted in localStorage as an array of watchlist objects
+ * - State is persisted through a storage adapter: IndexedDB, falling back to localStorage
+ * - IndexedDB keeps watchlists and items as separate records, localStorage keeps one versioned envelope
+ * - Older payloads are upgraded step by step on startup, anything that fails is quarantined
+ * - The library is held in an in-memory cache so reads stay synchronous, writes persist in the background
  * - Each watchlist contains an array of movie items
- * - UI updates reactively by re-rendering from localStorage state
+ * - UI updates reactively by re-rendering from the cached state
  * - Event delegation used for dynamically generated movie cards
- * - User settings stored separately in localStorage
+ * - User settings and per-watchlist view preferences stored separately in localStorage
+ * - Downscaled poster copies cached in IndexedDB, cards fall back to the remote URL, then a placeholder
+ * - A service worker (sw.js) precaches the app shell, new versions wait for the user to reload
+ * - Optional live sync pairs devices per watchlist and merges full states over a pluggable transport
+ * - Templates are saved watchlists without progress, curated ones ship in assets/templates
  *
  * DATA STRUCTURE:
+ * envelope = {
+ *   schemaVersion: number,
+ *   watchlists: [...]
+ * }
+ *
  * watchlists = [{
  *   id: "uuid",
+ *   shareId: "string", // stays the same across shared copies, used to merge re-imports
  *   title: "string",
  *   icon: "emoji",
+ *   color: "#rrggbb" | null, // accent on the watchlist card, null for the default look
+ *   description: "string", // optional, empty when not set
+ *   orderUpdatedAt: "ISO date" | null, // last manual reorder, decides sync conflicts
+ *   members: [{ id: "string", name: "string" }], // optional, never shared
+ *   archivedAt: "ISO date" | null, // hidden under "Archived" on the home screen, never shared or synced
  *   items: [{
  *     id: "uuid",
+ *     shareId: "string", // stays the same across shared copies
+ *     type: "movie" | "series",
  *     title: "string",
- *     posterUrl: "string",
- *     watched: boolean,
+ *     posterUrl: "string", // empty when added without a poster, a placeholder is shown
+ *     year: number | null, // release year, filled in by a metadata lookup
+ *     runtime: number | null, // minutes, per episode for a series
+ *     watched: boolean, // for a series: every episode watched, with members: everyone watched at some point
+ *     watchedAt: "ISO date" | null,
+ *     watchedAtEstimated: boolean,
  *     order: number,
- *     review: "string"
+ *     addedAt: "ISO date" | null,
+ *     review: "string",
+ *     reviewUpdatedAt: "ISO date" | null, // decides sync conflicts
+ *     rating: number | null, // 0.5 to 5 in half stars
+ *     rewatch: boolean,
+ *     spoilers: boolean, // blurs the review on the card until tapped
+ *     reviewHistory: [{ review, rating, rewatch, spoilers, savedAt: "ISO date" | null }], // earlier versions, oldest first
+ *     memberStates: { // per member, keyed by member id, missing means nothing recorded yet
+ *       [memberId]: {
+ *         watched, watchedAt, watchedAtEstimated, ...the review fields above,
+ *         watchedEpisodes: { ["S1E2"]: "ISO date" | null } // series only, keyed by season and episode number
+ *       }
+ *     },
+ *     seasons: [{ // series only
+ *       number: number,
+ *       episodes: [{ id: "uuid", number: number, watched: boolean, watchedAt: "ISO date" | null }]
+ *     }]
  *   }]
  * }]
  *
  * settings = {
- *   confirmationsEnabled: boolean
+ *   confirmationsEnabled: boolean,
+ *   syncRelayUrl: "ws:// or wss:// address" | "",
+ *   syncTransport: "webrtc" | "relay",
+ *   metadataProvider: "tmdb",
+ *   metadataApiKey: "string", // lookups are off while empty
+ *   metadataBaseUrl: "https:// address",
+ *   metadataImageBaseUrl: "https:// address"
+ * }
+ *
+ * templates = {
+ *   schemaVersion: number, // templates are upgraded with the same MIGRATIONS as watchlists
+ *   templates: [{
+ *     id: "uuid",
+ *     title, icon, color, description, // as on the watchlist it was saved from
+ *     savedAt: "ISO date",
+ *     items: [...] // as shared: fresh IDs, nothing watched, no reviews
+ *   }]
+ * }
+ *
+ * sync pairings = [{
+ *   room: "pairing code",
+ *   watchlistId: "uuid" | null // null until a joining device receives the list
+ * }]
+ *
+ * posters (IndexedDB) = {
+ *   url: "remote poster URL", // key, shared by every item using the same poster
+ *   blob: Blob | null, // null records a failed download
+ *   cachedAt: "ISO date" | null,
+ *   failedAt: "ISO date" | null
+ * }
+ *
+ * views = {
+ *   [watchlistId]: { filter: "all" | "watched" | "unwatched" | "reviewed", sort: "order" | "title" | "added" | "rating" }
  * }
  *
+ * SCHEMA MIGRATIONS:
+ * - Bump SCHEMA_VERSION and append a step to MIGRATIONS whenever the stored shape changes
+ * - Version 0 is the original bare array saved before the envelope existed
+ *
  * VERSIONING:
  * - MAJOR: Increments when I feel enough has changed
  * - MINOR: Increments when new features are added
  * - PATCH: Increments when bugs are fixed or small improvements are made
  *
- * @version 1.2.9
+ * @version 1.27.10
  */
 
 // CONSTANTS //
 
 const STORAGE_KEY = "watchlistplus";
 const SETTINGS_KEY = "watchlistplus__settings";
+const QUARANTINE_KEY = "watchlistplus__quarantine";
+const VIEWS_KEY = "watchlistplus__views";
+const SYNC_KEY = "watchlistplus__sync";
+const TEMPLATES_KEY = "watchlistplus__templates";
+const CURATED_TEMPLATES_URL = "./assets/templates/franchises.json";
+const SCHEMA_VERSION = 13;
+const DB_NAME = "watchlistplus";
+const DB_VERSION = 2;
+const BACKUP_FORMAT = "watchlistplus-backup";
+const BACKUP_VERSION = 1;
+const MAX_EPISODES_PER_SEASON = 500;
+const MAX_MEMBERS = 8;
+const MAX_MEMBER_NAME_LENGTH = 30;
+const MAX_RATING = 5;
+const MAX_DESCRIPTION_LENGTH = 200;
+const WATCHLIST_ICONS = [
+  "🍿",
+  "🎬",
+  "📺",
+  "🦸",
+  "🚀",
+  "🧙",
+  "👻",
+  "🕵️",
+  "🐉",
+  "😂",
+  "❤️",
+  "🎄",
+];
+const WATCHLIST_COLORS = [
+  { name: "Red", value: "#ff6666" },
+  { name: "Peach", value: "#ffcc99" },
+  { name: "Yellow", value: "#f5d76e" },
+  { name: "Green", value: "#7bd88f" },
+  { name: "Blue", value: "#6cc4ff" },
+  { name: "Purple", value: "#b48cff" },
+  { name: "Pink", value: "#ff8fcf" },
+];
+const SHARE_CODE_PREFIX = "WL1";
+const IMPORT_HASH_PREFIX = "#import=";
+const QR_CHUNK_SIZE = 400; // characters per code in a QR sequence
+const QR_QUIET_ZONE = 4; // light border in modules, required by scanners
+const QR_FRAME_INTERVAL_MS = 600;
+const QR_SCAN_INTERVAL_MS = 200;
+const QR_DECODER_URL = "./js/vendor/jsQR.js"; // used where BarcodeDetector isn't available
+const QR_DECODE_MAX_SIZE = 800; // longest side of a camera frame handed to the decoder, in pixels
+const SYNC_RETRY_MS = 5000;
+const SYNC_DEBOUNCE_MS = 300;
+const WEBRTC_CONNECT_TIMEOUT_MS = 10000; // direct connections not open by then go through the relay
+const METADATA_DEBOUNCE_MS = 350;
+const METADATA_MIN_QUERY_LENGTH = 2;
+const METADATA_MAX_RESULTS = 8;
+const POSTER_MAX_WIDTH = 200;
+const POSTER_MAX_HEIGHT = 300;
+const POSTER_RETRY_AFTER_MS = 7 * 24 * 60 * 60 * 1000; // failed downloads retry after a week
 
 // DOM ELEMENTS //
 
@@ -44,14 +175,27 @@ const body = document.body;
 const mainContent = document.getElementById("main-content");
 const emptyState = document.getElementById("empty-state");
 const contentGrid = document.getElementById("content-grid");
+const librarySearch = document.getElementById("library-search");
+const inputLibrarySearch = document.getElementById("input-library-search");
+const searchResults = document.getElementById("search-results");
 const fab = document.getElementById("fab-create");
 const dialogOverlay = document.getElementById("dialog-overlay");
 const dialogCreate = document.getElementById("dialog-create");
 const formCreate = document.getElementById("form-create-watchlist");
 const inputTitle = document.getElementById("input-watchlist-title");
+const selectCreateTemplate = document.getElementById("select-create-template");
+const createTemplateHint = document.getElementById("create-template-hint");
+const createPresentationFields = document.getElementById(
+  "create-presentation-fields",
+);
 const dialogDetailOverlay = document.getElementById("dialog-detail-overlay");
 const dialogDetail = document.getElementById("dialog-detail");
 const detailWatchlistTitle = document.getElementById("detail-watchlist-title");
+const btnToggleTimeline = document.getElementById("btn-toggle-timeline");
+const detailAnnouncer = document.getElementById("detail-announcer");
+const detailToolbar = document.getElementById("detail-toolbar");
+const inputDetailSearch = document.getElementById("input-detail-search");
+const selectDetailSort = document.getElementById("select-detail-sort");
 const btnAddMovie = document.getElementById("btn-add-movie");
 const dialogCreateMovieOverlay = document.getElementById(
   "dialog-create-movie-overlay",
@@ -60,40 +204,179 @@ const dialogCreateMovie = document.getElementById("dialog-create-movie");
 const formCreateMovie = document.getElementById("form-create-movie");
 const inputMoviePosterUrl = document.getElementById("input-movie-poster-url");
 const inputMovieTitle = document.getElementById("input-movie-title");
+const seriesFields = document.getElementById("series-fields");
+const inputSeriesEpisodes = document.getElementById("input-series-episodes");
+const movieSuggestions = document.getElementById("movie-suggestions");
+const addModeButtons = dialogCreateMovie.querySelectorAll("[data-add-mode]");
+const formBulkAdd = document.getElementById("form-bulk-add");
+const textareaBulkAdd = document.getElementById("textarea-bulk-add");
+const bulkPreview = document.getElementById("bulk-preview");
+const btnBulkAddSubmit = document.getElementById("btn-bulk-add-submit");
+const movieLookupStatus = document.getElementById("movie-lookup-status");
+const inputMetadataKey = document.getElementById("input-metadata-key");
+const inputMetadataBaseUrl = document.getElementById("input-metadata-base-url");
+const inputMetadataImageUrl = document.getElementById(
+  "input-metadata-image-url",
+);
+const dialogAddSeasonOverlay = document.getElementById(
+  "dialog-add-season-overlay",
+);
+const dialogAddSeason = document.getElementById("dialog-add-season");
+const formAddSeason = document.getElementById("form-add-season");
+const inputSeasonEpisodes = document.getElementById("input-season-episodes");
+const movieDuplicateWarning = document.getElementById(
+  "movie-duplicate-warning",
+);
 const dialogReviewOverlay = document.getElementById("dialog-review-overlay");
 const dialogReview = document.getElementById("dialog-review");
 const formReview = document.getElementById("form-review");
 const textareaReview = document.getElementById("textarea-review");
 const reviewDialogTitle = document.getElementById("dialog-review-title");
+const inputReviewRating = document.getElementById("input-review-rating");
+const reviewRatingValue = document.getElementById("review-rating-value");
+const checkReviewRewatch = document.getElementById("check-review-rewatch");
+const checkReviewSpoilers = document.getElementById("check-review-spoilers");
+const dialogWatchedDateOverlay = document.getElementById(
+  "dialog-watched-date-overlay",
+);
+const dialogWatchedDate = document.getElementById("dialog-watched-date");
+const formWatchedDate = document.getElementById("form-watched-date");
+const inputWatchedDate = document.getElementById("input-watched-date");
+const watchedDateMovieTitle = document.getElementById(
+  "watched-date-movie-title",
+);
 const dialogImportOverlay = document.getElementById("dialog-import-overlay");
 const dialogImport = document.getElementById("dialog-import");
 const formImport = document.getElementById("form-import");
 const textareaImport = document.getElementById("textarea-import");
+const btnImportFile = document.getElementById("btn-import-file");
+const inputImportFile = document.getElementById("input-import-file");
 const btnSettings = document.getElementById("btn-settings");
+const btnStats = document.getElementById("btn-stats");
+const dialogStatsOverlay = document.getElementById("dialog-stats-overlay");
+const dialogStats = document.getElementById("dialog-stats");
+const statsContent = document.getElementById("stats-content");
+const dialogExportOverlay = document.getElementById("dialog-export-overlay");
+const dialogExport = document.getElementById("dialog-export");
+const dialogExportTitle = document.getElementById("dialog-export-title");
+const formExport = document.getElementById("form-export");
+const exportFormatHint = document.getElementById("export-format-hint");
+const checkExportLibrary = document.getElementById("check-export-library");
+const dialogShareOverlay = document.getElementById("dialog-share-overlay");
+const dialogShare = document.getElementById("dialog-share");
+const shareDialogTitle = document.getElementById("dialog-share-title");
+const textareaShare = document.getElementById("textarea-share");
+const btnShareCopy = document.getElementById("btn-share-copy");
+const btnShareQr = document.getElementById("btn-share-qr");
+const shareQr = document.getElementById("share-qr");
+const shareQrCode = document.getElementById("share-qr-code");
+const shareQrCaption = document.getElementById("share-qr-caption");
+const btnImportScan = document.getElementById("btn-import-scan");
+const importScanner = document.getElementById("import-scanner");
+const importScannerVideo = document.getElementById("import-scanner-video");
+const importScannerStatus = document.getElementById("import-scanner-status");
+const btnImportScanStop = document.getElementById("btn-import-scan-stop");
 const dialogSettingsOverlay = document.getElementById(
   "dialog-settings-overlay",
 );
 const dialogSettings = document.getElementById("dialog-settings");
 const toggleConfirmations = document.getElementById("toggle-confirmations");
+const toggleAutoArchive = document.getElementById("toggle-auto-archive");
 const btnOpenImport = document.getElementById("btn-open-import");
+const btnBackup = document.getElementById("btn-backup");
+const btnOpenRestore = document.getElementById("btn-open-restore");
+const inputRestoreFile = document.getElementById("input-restore-file");
+const posterCacheStatus = document.getElementById("poster-cache-status");
+const templateList = document.getElementById("template-list");
+const btnRecachePosters = document.getElementById("btn-recache-posters");
+const btnCleanPosters = document.getElementById("btn-clean-posters");
+const updateToast = document.getElementById("update-toast");
+const btnUpdateReload = document.getElementById("btn-update-reload");
+const btnMembers = document.getElementById("btn-members");
+const btnCustomize = document.getElementById("btn-customize");
+const btnSaveTemplate = document.getElementById("btn-save-template");
+const btnDuplicate = document.getElementById("btn-duplicate");
+const dialogCustomizeOverlay = document.getElementById(
+  "dialog-customize-overlay",
+);
+const dialogCustomize = document.getElementById("dialog-customize");
+const formCustomize = document.getElementById("form-customize");
+const customizePresentationFields = document.getElementById(
+  "customize-presentation-fields",
+);
+const dialogMembersOverlay = document.getElementById("dialog-members-overlay");
+const dialogMembers = document.getElementById("dialog-members");
+const memberList = document.getElementById("member-list");
+const formAddMember = document.getElementById("form-add-member");
+const inputMemberName = document.getElementById("input-member-name");
+const reviewMemberField = document.getElementById("review-member-field");
+const selectReviewMember = document.getElementById("select-review-member");
+const btnSync = document.getElementById("btn-sync");
+const dialogSyncOverlay = document.getElementById("dialog-sync-overlay");
+const dialogSync = document.getElementById("dialog-sync");
+const syncContent = document.getElementById("sync-content");
+const inputSyncRelay = document.getElementById("input-sync-relay");
+const selectSyncTransport = document.getElementById("select-sync-transport");
+const formSyncJoin = document.getElementById("form-sync-join");
+const inputSyncCode = document.getElementById("input-sync-code");
+const dialogRestoreOverlay = document.getElementById("dialog-restore-overlay");
+const dialogRestore = document.getElementById("dialog-restore");
+const restorePreview = document.getElementById("restore-preview");
+const btnRestoreSubmit = document.getElementById("btn-restore-submit");
 const dialogConfirmOverlay = document.getElementById("dialog-confirm-overlay");
 const dialogConfirm = document.getElementById("dialog-confirm");
 const dialogConfirmTitle = document.getElementById("dialog-confirm-title");
 const dialogConfirmMessage = document.getElementById("dialog-confirm-message");
+const dialogConfirmDetails = document.getElementById("dialog-confirm-details");
 const btnConfirmAction = document.getElementById("btn-confirm-action");
 
 // STATE MANAGEMENT //
 
 let currentWatchlistId = null;
 let currentMovieId = null;
+let detailView = "list"; // "list" or "timeline" inside the detail dialog
+let dragState = null; // movie card currently being dragged by its handle
+let openSeriesIds = new Set(); // series cards with their episode list expanded
+let isArchiveOpen = false; // "Archived" section on the home screen expanded
+let detailFilters = { query: "", filter: "all", sort: "order" }; // detail dialog toolbar
 let lastFocusedElement = null; // track focus for accessibility
 let pendingConfirmAction = null; // stores the action to execute after confirmation
+let storageAdapter = null; // chosen once during initialization
+let database = null; // IndexedDB connection, null when falling back to localStorage
+let posterObjectUrls = new Map(); // remote poster URL -> object URL of the cached copy
+let posterFailures = new Map(); // remote poster URL -> when downloading it last failed
+let waitingWorker = null; // installed service worker waiting for the user to reload
+let qrAnimationTimer = null; // cycles the codes of a QR sequence in the share dialog
+let qrScan = null; // camera scan in progress: { stream, timer, checksum, total, chunks }
+let qrDecoderLoading = null; // vendored jsQR, loaded by the first scan that needs it
+let metadataSearchTimer = null;
+let metadataSearchController = null; // aborts the lookup in flight when a newer one starts
+let metadataResults = [];
+let metadataActiveIndex = -1;
+let pickedMetadata = null; // { title, year, runtime } from the lookup result picked in the add dialog
+let syncSessions = new Map(); // pairing code -> { room, watchlistId, connection, status, lastSent }
+let syncBroadcastTimer = null;
+let libraryCache = []; // in-memory copy of every watchlist
+let persistQueue = Promise.resolve(); // serializes background writes
+let readOnlyReason = null; // set when the stored library must not be overwritten, shown on every save
+let templatesReadOnlyReason = null; // the same for stored templates
+let searchIndex = null; // built lazily, cleared whenever the library changes
+let pendingRestore = null; // validated backup waiting for the user to confirm
+let exportWatchlistId = null; // watchlist whose export menu is open
+let curatedTemplates = null; // bundled franchise templates, fetched when the create dialog first opens
 
 // SETTINGS MANAGEMENT //
 
 function getDefaultSettings() {
   return {
     confirmationsEnabled: true,
+    autoArchive: false,
+    syncRelayUrl: "",
+    syncTransport: "webrtc",
+    metadataProvider: "tmdb",
+    metadataApiKey: "",
+    metadataBaseUrl: "https://api.themoviedb.org/3",
+    metadataImageBaseUrl: "https://image.tmdb.org/t/p/w342",
   };
 }
 
@@ -116,479 +399,7059 @@ function saveSettings(settings) {
   }
 }
 
-function initializeSettings() {
-  const settings = loadSettings();
-  toggleConfirmations.checked = settings.confirmationsEnabled;
+/**
+ * Keep only known settings with the expected types
+ * Used when settings come from outside the app (e.g. a backup file)
+ */
+function sanitizeSettings(settings) {
+  const defaults = getDefaultSettings();
+  return Object.fromEntries(
+    Object.entries(defaults).map(([key, fallback]) => [
+      key,
+      typeof settings?.[key] === typeof fallback ? settings[key] : fallback,
+    ]),
+  );
 }
 
-// UTILITY FUNCTIONS //
+// VIEW PREFERENCES //
 
-function loadWatchlists() {
+/**
+ * Filters and sorts offered by the detail dialog toolbar
+ * They only change what's rendered, stored order values are never touched
+ */
+const MOVIE_FILTERS = {
+  all: () => true,
+  watched: (movie) => movie.watched,
+  unwatched: (movie) => !movie.watched,
+  reviewed: (movie) => hasReview(movie),
+};
+
+const MOVIE_SORTS = {
+  // sort by order property (with fallback for data integrity)
+  order: (a, b) => (a.order ?? 0) - (b.order ?? 0),
+  title: (a, b) =>
+    a.title.localeCompare(b.title, undefined, {
+      sensitivity: "base",
+      numeric: true,
+    }),
+  // newest first, items added before dates were tracked go last in list order
+  added: (a, b) =>
+    (b.addedAt ?? "").localeCompare(a.addedAt ?? "") ||
+    (a.order ?? 0) - (b.order ?? 0),
+  // highest rated first, unrated items go last in list order
+  rating: (a, b) =>
+    (getItemRating(b) ?? -1) - (getItemRating(a) ?? -1) ||
+    (a.order ?? 0) - (b.order ?? 0),
+};
+
+function getDefaultViewState() {
+  return {
+    filter: "all",
+    sort: "order",
+  };
+}
+
+/**
+ * Load the remembered filter and sort for one watchlist
+ * Unknown values fall back to the defaults
+ */
+function loadViewState(watchlistId) {
+  const defaults = getDefaultViewState();
   try {
-    const data = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
-    return data;
+    const views = JSON.parse(localStorage.getItem(VIEWS_KEY)) || {};
+    const view = views[watchlistId] || {};
+    return {
+      filter: Object.hasOwn(MOVIE_FILTERS, view.filter)
+        ? view.filter
+        : defaults.filter,
+      sort: Object.hasOwn(MOVIE_SORTS, view.sort) ? view.sort : defaults.sort,
+    };
   } catch {
-    console.warn("Failed to load watchlists from localStorage");
-    return [];
+    console.warn("Failed to load view preferences from localStorage");
+    return defaults;
   }
 }
 
-function saveWatchlists(watchlists) {
+function saveViewState(watchlistId, viewState) {
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(watchlists));
+    const views = JSON.parse(localStorage.getItem(VIEWS_KEY)) || {};
+    views[watchlistId] = viewState;
+    localStorage.setItem(VIEWS_KEY, JSON.stringify(views));
   } catch (error) {
-    // handle quota exceeded or private browsing mode
-    console.error("Failed to save watchlists:", error);
-    alert("Unable to save changes. Your storage may be full.");
+    console.error("Failed to save view preferences:", error);
   }
 }
 
-function generateId() {
-  return crypto.randomUUID();
+function initializeSettings() {
+  const settings = loadSettings();
+  toggleConfirmations.checked = settings.confirmationsEnabled;
+  toggleAutoArchive.checked = settings.autoArchive;
 }
 
+// SCHEMA MIGRATIONS //
+
 /**
- * Validate poster URL to prevent XSS attacks
- * Only allow http and https protocols
+ * Ordered upgrade steps - MIGRATIONS[n] takes a version n watchlist to n + 1
+ * Steps run per watchlist so one bad record can't take the rest down with it
+ * A step throws when a record can't be upgraded safely
  */
-function validatePosterUrl(url) {
-  if (!url || typeof url !== "string") return false;
-  try {
-    const parsed = new URL(url);
-    return parsed.protocol === "http:" || parsed.protocol === "https:";
-  } catch {
-    return false;
+const MIGRATIONS = [
+  // 0 -> 1: backfill order and review, coerce watched to a boolean
+  (watchlist) => {
+    if (!watchlist || typeof watchlist !== "object") {
+      throw new Error("Watchlist is not an object");
+    }
+    if (typeof watchlist.title !== "string" || !watchlist.title.trim()) {
+      throw new Error("Watchlist has no title");
+    }
+    if (!Array.isArray(watchlist.items)) {
+      throw new Error("Watchlist items are not an array");
+    }
+
+    return {
+      ...watchlist,
+      id: typeof watchlist.id === "string" ? watchlist.id : generateId(),
+      icon: typeof watchlist.icon === "string" ? watchlist.icon : "🍿",
+      items: watchlist.items.map((item, index) => {
+        if (!item || typeof item.title !== "string") {
+          throw new Error(`Item ${index} has no title`);
+        }
+        return {
+          ...item,
+          id: typeof item.id === "string" ? item.id : generateId(),
+          posterUrl: typeof item.posterUrl === "string" ? item.posterUrl : "",
+          watched: item.watched === true,
+          order: typeof item.order === "number" ? item.order : index,
+          review: typeof item.review === "string" ? item.review : "",
+        };
+      }),
+    };
+  },
+  // 1 -> 2: add watch timestamps, unknown for anything watched before they existed
+  (watchlist) => ({
+    ...watchlist,
+    items: watchlist.items.map((item) => ({
+      ...item,
+      watchedAt: typeof item.watchedAt === "string" ? item.watchedAt : null,
+      watchedAtEstimated: item.watchedAtEstimated === true,
+    })),
+  }),
+  // 2 -> 3: add date added, unknown for anything added before it was tracked
+  (watchlist) => ({
+    ...watchlist,
+    items: watchlist.items.map((item) => ({
+      ...item,
+      addedAt: typeof item.addedAt === "string" ? item.addedAt : null,
+    })),
+  }),
+  // 3 -> 4: add item type, everything stored so far is a movie
+  (watchlist) => ({
+    ...watchlist,
+    items: watchlist.items.map((item) => ({
+      ...item,
+      type: item.type === "series" ? "series" : "movie",
+    })),
+  }),
+  // 4 -> 5: add shared identifiers, copies shared before this only match by title
+  (watchlist) => ({
+    ...watchlist,
+    shareId:
+      typeof watchlist.shareId === "string"
+        ? watchlist.shareId
+        : generateShareId(),
+    items: watchlist.items.map((item) => ({
+      ...item,
+      shareId:
+        typeof item.shareId === "string" ? item.shareId : generateShareId(),
+    })),
+  }),
+  // 5 -> 6: add edit times for sync, unknown for anything edited before
+  (watchlist) => ({
+    ...watchlist,
+    orderUpdatedAt:
+      typeof watchlist.orderUpdatedAt === "string"
+        ? watchlist.orderUpdatedAt
+        : null,
+    items: watchlist.items.map((item) => ({
+      ...item,
+      reviewUpdatedAt:
+        typeof item.reviewUpdatedAt === "string" ? item.reviewUpdatedAt : null,
+    })),
+  }),
+  // 6 -> 7: add optional members, lists start with none
+  (watchlist) => ({
+    ...watchlist,
+    members: Array.isArray(watchlist.members) ? watchlist.members : [],
+    items: watchlist.items.map((item) => ({
+      ...item,
+      memberStates:
+        item.memberStates && typeof item.memberStates === "object"
+          ? item.memberStates
+          : {},
+    })),
+  }),
+  // 7 -> 8: add ratings and review flags, nothing rated yet
+  (watchlist) => {
+    const addReviewDetails = (source) => ({
+      ...source,
+      rating: isValidRating(source.rating) ? source.rating : null,
+      rewatch: source.rewatch === true,
+      spoilers: source.spoilers === true,
+    });
+
+    return {
+      ...watchlist,
+      items: watchlist.items.map((item) => ({
+        ...addReviewDetails(item),
+        memberStates: Object.fromEntries(
+          Object.entries(item.memberStates).map(([memberId, state]) => [
+            memberId,
+            addReviewDetails(state),
+          ]),
+        ),
+      })),
+    };
+  },
+  // 8 -> 9: keep earlier reviews, nothing was kept before
+  (watchlist) => {
+    const addReviewHistory = (source) => ({
+      ...source,
+      reviewHistory: Array.isArray(source.reviewHistory)
+        ? source.reviewHistory
+        : [],
+    });
+
+    return {
+      ...watchlist,
+      items: watchlist.items.map((item) => ({
+        ...addReviewHistory(item),
+        memberStates: Object.fromEntries(
+          Object.entries(item.memberStates).map(([memberId, state]) => [
+            memberId,
+            addReviewHistory(state),
+          ]),
+        ),
+      })),
+    };
+  },
+  // 9 -> 10: add year and runtime, only known for items added through a lookup
+  (watchlist) => ({
+    ...watchlist,
+    items: watchlist.items.map(({ year = null, runtime = null, ...item }) => ({
+      ...item,
+      year: isValidYear(year) ? year : null,
+      runtime: isValidRuntime(runtime) ? runtime : null,
+    })),
+  }),
+  // 10 -> 11: add archivedAt, every existing list starts out on the home screen
+  (watchlist) => ({
+    ...watchlist,
+    archivedAt: null,
+  }),
+  // 11 -> 12: add color and description, replace icons that were never valid
+  (watchlist) => ({
+    ...watchlist,
+    icon: isValidIcon(watchlist.icon) ? watchlist.icon : "🍿",
+    color: null,
+    description: "",
+  }),
+  // 12 -> 13: track episodes per member, until now everyone shared the series' episodes
+  // templates go through here too, they have no members
+  (watchlist) => ({
+    ...watchlist,
+    items: watchlist.items.map((item) => ({
+      ...item,
+      memberStates: Object.fromEntries(
+        (watchlist.members ?? [])
+          .filter(
+            (member) => item.type === "series" || item.memberStates[member.id],
+          )
+          .map((member) => {
+            const state = item.memberStates[member.id] ?? createMemberState();
+            return [
+              member.id,
+              item.type === "series"
+                ? {
+                    ...state,
+                    watched: item.watched,
+                    watchedAt: item.watchedAt,
+                    watchedAtEstimated: item.watchedAtEstimated,
+                    watchedEpisodes: getWatchedEpisodes(item),
+                  }
+                : { ...state, watchedEpisodes: {} },
+            ];
+          }),
+      ),
+    })),
+  }),
+];
+
+/**
+ * Read the stored payload as { schemaVersion, watchlists }
+ * The bare array saved by releases before the envelope counts as version 0
+ */
+function unwrapEnvelope(payload) {
+  if (Array.isArray(payload)) {
+    return { schemaVersion: 0, watchlists: payload };
   }
+  if (
+    payload &&
+    typeof payload.schemaVersion === "number" &&
+    Array.isArray(payload.watchlists)
+  ) {
+    return payload;
+  }
+  throw new Error("Unrecognised storage payload");
 }
 
 /**
- * Escape HTML to prevent XSS in user-provided content
- * Used for text content only - URLs are validated separately
+ * Run every pending migration step on a single watchlist
  */
-function escapeHTML(str) {
-  const el = document.createElement("span");
-  el.textContent = str;
-  return el.innerHTML;
+function migrateWatchlist(watchlist, fromVersion) {
+  return MIGRATIONS.slice(fromVersion).reduce(
+    (upgraded, step) => step(upgraded),
+    watchlist,
+  );
 }
 
 /**
- * Find watchlist by ID - used frequently across event handlers
+ * Set aside data that could not be migrated instead of dropping it
+ * Throws if the quarantine itself can't be written, so callers leave the original untouched
  */
-function getWatchlistById(id) {
-  const watchlists = loadWatchlists();
-  return watchlists.find((wl) => wl.id === id);
+function quarantineData(entries) {
+  const raw = localStorage.getItem(QUARANTINE_KEY);
+  let existing = [];
+  try {
+    existing = JSON.parse(raw) || [];
+  } catch {
+    // keep an unreadable quarantine as one more entry instead of replacing it
+    existing = [{ reason: "Unreadable quarantine", data: raw }];
+  }
+  const quarantinedAt = new Date().toISOString();
+  localStorage.setItem(
+    QUARANTINE_KEY,
+    JSON.stringify([
+      ...existing,
+      ...entries.map((entry) => ({ ...entry, quarantinedAt })),
+    ]),
+  );
 }
 
-// CONFIRMATION DIALOG //
-
 /**
- * Show confirmation dialog if setting is enabled
- * Returns a Promise that resolves with true/false based on user choice
+ * Upgrade a stored envelope to SCHEMA_VERSION
+ * Migrated data is only written back once any quarantine has been saved
+ * Resolves to the watchlists the app should run with, always in the current shape
+ * When the stored data must stay as it is, the app goes read-only instead (see readOnlyReason)
  */
-function showConfirmation(title, message) {
-  const settings = loadSettings();
+async function migrateEnvelope(envelope, adapter) {
+  const { schemaVersion } = envelope;
+  if (schemaVersion === SCHEMA_VERSION) return envelope.watchlists;
 
-  // if confirmations disabled, auto-confirm
-  if (!settings.confirmationsEnabled) {
-    return Promise.resolve(true);
+  if (schemaVersion > SCHEMA_VERSION) {
+    // written by a newer release, leave it alone rather than guess at its shape
+    console.warn(
+      `Stored schema v${schemaVersion} is newer than supported v${SCHEMA_VERSION}`,
+    );
+    readOnlyReason =
+      "Your watchlists were saved by a newer version of Watchlist+. Reload to update the app, changes can't be saved until then.";
+    alert(readOnlyReason);
+    return envelope.watchlists;
   }
 
-  return new Promise((resolve) => {
-    dialogConfirmTitle.textContent = title;
-    dialogConfirmMessage.textContent = message;
-
-    pendingConfirmAction = resolve;
+  const migrated = [];
+  const failed = [];
 
-    openModal(dialogConfirmOverlay, dialogConfirm, btnConfirmAction);
+  envelope.watchlists.forEach((watchlist) => {
+    try {
+      migrated.push(migrateWatchlist(watchlist, schemaVersion));
+    } catch (error) {
+      failed.push({
+        reason: error.message,
+        fromVersion: schemaVersion,
+        data: watchlist,
+      });
+    }
   });
-}
 
-function handleConfirmAction(confirmed) {
-  if (pendingConfirmAction) {
-    pendingConfirmAction(confirmed);
-    pendingConfirmAction = null;
+  try {
+    if (failed.length > 0) quarantineData(failed);
+  } catch (error) {
+    // saving now would drop the lists that couldn't be set aside
+    console.error("Failed to quarantine watchlists:", error);
+    readOnlyReason =
+      "Some watchlists couldn't be upgraded or set aside, so nothing is saved to keep them safe. Free up storage space and reload.";
+    alert(readOnlyReason);
+    return migrated;
   }
-  closeConfirmDialog();
+
+  try {
+    ensureUniqueItemIds(migrated);
+    await adapter.save({ schemaVersion: SCHEMA_VERSION, watchlists: migrated });
+  } catch (error) {
+    // the next save writes the whole migrated library again
+    console.error("Failed to save migrated watchlists:", error);
+  }
+
+  if (failed.length > 0) {
+    console.warn(`Quarantined ${failed.length} watchlist(s) during migration`);
+    alert(
+      `${failed.length} watchlist(s) couldn't be upgraded. They have been set aside rather than deleted.`,
+    );
+  }
+
+  return migrated;
 }
 
-// SHARING FUNCTIONALITY //
+// STORAGE ADAPTERS //
 
 /**
- * Handle sharing a watchlist
- * Creates shareable JSON and copies to clipboard
+ * Every adapter exposes the same two methods:
+ * - load() resolves to the stored envelope, or null when nothing is stored yet
+ * - save(envelope) resolves once the whole library is persisted
  */
-function handleShareWatchlist(watchlistId) {
-  const watchlist = getWatchlistById(watchlistId);
-  if (!watchlist) return;
 
-  const shareableData = createShareableWatchlist(watchlist);
-  const jsonString = JSON.stringify(shareableData, null, 2);
+const localStorageAdapter = {
+  name: "localStorage",
 
-  // copy to clipboard
-  navigator.clipboard
-    .writeText(jsonString)
-    .then(() => {
-      // provide user feedback
-      alert(
-        `"${watchlist.title}" copied to clipboard!\n\nShare this with others to import the watchlist.`,
-      );
-    })
-    .catch((err) => {
-      console.error("Failed to copy to clipboard:", err);
-      // fallback: show the JSON in a dialog or prompt
+  async load() {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (raw === null) return null;
+
+    try {
+      return unwrapEnvelope(JSON.parse(raw));
+    } catch (error) {
+      // quarantine throws if it can't be written, leaving the original in place
+      quarantineData([{ reason: error.message, fromVersion: null, data: raw }]);
+      localStorage.removeItem(STORAGE_KEY);
       alert(
-        "Unable to copy automatically. Here's your shareable watchlist:\n\n" +
-          jsonString,
+        "Your saved watchlists couldn't be read. They have been set aside rather than deleted.",
       );
-    });
+      return null;
+    }
+  },
+
+  async save(envelope) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(envelope));
+  },
+};
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
 }
 
 /**
- * Create a shareable copy of a watchlist
- * Resets all movies to unwatched state and removes reviews
+ * Open the IndexedDB database, creating object stores on first run
+ * Watchlists and items live in separate stores so a save only rewrites changed records
  */
-function createShareableWatchlist(watchlist) {
-  if (!watchlist) return null;
+function openDatabase() {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
 
-  return {
-    id: generateId(), // generate new ID for imported copy
-    title: watchlist.title,
-    icon: watchlist.icon,
-    items: watchlist.items.map((movie, index) => ({
-      id: generateId(), // generate new ID for each movie
-      title: movie.title,
-      posterUrl: movie.posterUrl,
-      watched: false, // reset to unwatched
-      order: index, // maintain order
-      review: "", // remove review
-    })),
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains("meta")) {
+      db.createObjectStore("meta", { keyPath: "key" });
+    }
+    if (!db.objectStoreNames.contains("watchlists")) {
+      db.createObjectStore("watchlists", { keyPath: "id" });
+    }
+    if (!db.objectStoreNames.contains("items")) {
+      const items = db.createObjectStore("items", { keyPath: "id" });
+      items.createIndex("watchlistId", "watchlistId");
+    }
+    if (!db.objectStoreNames.contains("posters")) {
+      db.createObjectStore("posters", { keyPath: "url" });
+    }
   };
+
+  return promisifyRequest(request);
 }
 
 /**
- * Validate imported watchlist data
- * Ensures data structure matches expected format
+ * IndexedDB backend
+ * Keeps a serialized snapshot of each persisted record to skip unchanged writes
  */
-function validateImportedWatchlist(data) {
-  if (!data || typeof data !== "object") return false;
-  if (typeof data.title !== "string" || !data.title.trim()) return false;
-  if (typeof data.icon !== "string") return false;
-  if (!Array.isArray(data.items)) return false;
+function createIndexedDBAdapter(db) {
+  let persisted = { watchlists: new Map(), items: new Map() };
 
-  // validate each movie item
-  return data.items.every((item) => {
-    return (
-      item &&
-      typeof item.title === "string" &&
-      item.title.trim() &&
-      typeof item.posterUrl === "string" &&
-      validatePosterUrl(item.posterUrl) &&
-      typeof item.watched === "boolean" &&
-      typeof item.order === "number"
-    );
-  });
-}
+  // flatten the nested library into one record per watchlist and per item
+  function toRecords(watchlists) {
+    const records = { watchlists: new Map(), items: new Map() };
 
-/**
- * Import a watchlist from JSON data
- * Reuses createShareableWatchlist to ensure new IDs
- */
-async function importWatchlist(jsonString) {
-  try {
-    const data = JSON.parse(jsonString);
+    watchlists.forEach(({ items, ...watchlist }, position) => {
+      // a repeated ID would silently overwrite the other record
+      if (records.watchlists.has(watchlist.id)) {
+        throw new Error(`Duplicate watchlist ID ${watchlist.id}`);
+      }
+      records.watchlists.set(watchlist.id, { ...watchlist, position });
+      items.forEach((item, itemPosition) => {
+        if (records.items.has(item.id)) {
+          throw new Error(`Duplicate item ID ${item.id}`);
+        }
+        records.items.set(item.id, {
+          ...item,
+          watchlistId: watchlist.id,
+          position: itemPosition,
+        });
+      });
+    });
 
-    if (!validateImportedWatchlist(data)) {
-      alert(
-        "Invalid watchlist data. Please make sure you copied the entire text.",
+    return records;
+  }
+
+  function snapshot(records) {
+    return {
+      watchlists: new Map(
+        [...records.watchlists].map(([id, r]) => [id, JSON.stringify(r)]),
+      ),
+      items: new Map(
+        [...records.items].map(([id, r]) => [id, JSON.stringify(r)]),
+      ),
+    };
+  }
+
+  return {
+    name: "indexedDB",
+
+    async load() {
+      const transaction = db.transaction(
+        ["meta", "watchlists", "items"],
+        "readonly",
       );
-      return false;
-    }
+      const [schema, watchlistRecords, itemRecords] = await Promise.all([
+        promisifyRequest(transaction.objectStore("meta").get("schema")),
+        promisifyRequest(transaction.objectStore("watchlists").getAll()),
+        promisifyRequest(transaction.objectStore("items").getAll()),
+      ]);
 
-    // show confirmation dialog
-    const confirmed = await showConfirmation(
-      "Import watchlist",
-      `Import "${data.title}" with ${data.items.length} movie(s)?`,
-    );
+      if (!schema) return null;
 
-    if (!confirmed) return false;
+      persisted = snapshot({
+        watchlists: new Map(watchlistRecords.map((r) => [r.id, r])),
+        items: new Map(itemRecords.map((r) => [r.id, r])),
+      });
 
-    const watchlists = loadWatchlists();
+      const byPosition = (a, b) => a.position - b.position;
+      const watchlists = watchlistRecords
+        .sort(byPosition)
+        .map(({ position, ...watchlist }) => ({
+          ...watchlist,
+          items: itemRecords
+            .filter((item) => item.watchlistId === watchlist.id)
+            .sort(byPosition)
+            .map(({ watchlistId, position, ...item }) => item),
+        }));
 
-    // check for duplicate titles (optional - help prevent confusion)
-    const duplicateTitle = watchlists.find(
-      (wl) => wl.title.toLowerCase() === data.title.toLowerCase(),
-    );
+      return { schemaVersion: schema.schemaVersion, watchlists };
+    },
 
-    let importData = data;
+    async save(envelope) {
+      const records = toRecords(envelope.watchlists);
+      const next = snapshot(records);
+      const transaction = db.transaction(
+        ["meta", "watchlists", "items"],
+        "readwrite",
+      );
 
-    if (duplicateTitle) {
-      // add "(Shared with me)" suffix to distinguish
-      importData = {
-        ...data,
-        title: `${data.title} (Shared with me)`,
-      };
-    }
+      transaction
+        .objectStore("meta")
+        .put({ key: "schema", schemaVersion: envelope.schemaVersion });
 
-    // ensure fresh IDs using the existing utility
-    const newWatchlist = createShareableWatchlist(importData);
+      ["watchlists", "items"].forEach((storeName) => {
+        const store = transaction.objectStore(storeName);
+        next[storeName].forEach((json, id) => {
+          if (persisted[storeName].get(id) !== json) {
+            store.put(records[storeName].get(id));
+          }
+        });
+        persisted[storeName].forEach((_, id) => {
+          if (!next[storeName].has(id)) store.delete(id);
+        });
+      });
 
-    watchlists.push(newWatchlist);
-    saveWatchlists(watchlists);
+      await promisifyTransaction(transaction);
+      persisted = next;
+    },
+  };
+}
 
-    return true;
+/**
+ * Pick IndexedDB where available, falling back to localStorage
+ * (e.g. private browsing modes that block IndexedDB)
+ */
+async function selectStorageAdapter() {
+  if (typeof indexedDB === "undefined") return localStorageAdapter;
+
+  try {
+    database = await openDatabase();
+    // ask the browser not to evict our data under storage pressure
+    navigator.storage?.persist?.().catch(() => {});
+    return createIndexedDBAdapter(database);
   } catch (error) {
-    console.error("Import failed:", error);
-    alert(
-      "Could not import watchlist. Please make sure you pasted the correct text.",
-    );
-    return false;
+    console.warn("IndexedDB unavailable, using localStorage:", error);
+    return localStorageAdapter;
   }
 }
 
-// RENDERING FUNCTIONS //
+/**
+ * Choose a backend, migrate, then move legacy localStorage data over once
+ * The localStorage copy is only removed after IndexedDB has committed the migrated library
+ * If anything can't be loaded the app goes read-only, so an empty library never replaces it
+ */
+async function initializeStorage() {
+  storageAdapter = await selectStorageAdapter();
 
-function renderApp() {
-  const watchlists = loadWatchlists();
-  const hasWatchlists = watchlists.length > 0;
+  let envelope = null;
+  let isLegacy = false;
+  try {
+    envelope = await storageAdapter.load();
 
-  // toggle empty state UI based on whether we have any watchlists
-  body.classList.toggle("states-empty", !hasWatchlists);
-  mainContent.classList.toggle("container--empty", !hasWatchlists);
-  emptyState.classList.toggle("hide", hasWatchlists);
-  contentGrid.classList.toggle("hide", !hasWatchlists);
+    if (!envelope && storageAdapter !== localStorageAdapter) {
+      envelope = await localStorageAdapter.load();
+      isLegacy = Boolean(envelope);
+    }
 
-  if (hasWatchlists) {
-    renderWatchlistCards(watchlists);
+    libraryCache = envelope
+      ? await migrateEnvelope(envelope, storageAdapter)
+      : [];
+  } catch (error) {
+    console.error("Failed to load watchlists:", error);
+    libraryCache = [];
+    readOnlyReason =
+      "Your watchlists couldn't be loaded, so nothing is saved to keep them safe. Reload to try again.";
+    alert(readOnlyReason);
+    return;
   }
-}
 
-function renderWatchlistCards(watchlists) {
-  contentGrid.innerHTML = watchlists
-    .map(
-      (wl) => `
-    <article class="watchlist-card card-base" data-id="${wl.id}">
-      <header class="watchlist-card__header">
-        <span class="watchlist-card__icon" aria-hidden="true">${wl.icon}</span>
-        <h2 class="watchlist-card__title">${escapeHTML(wl.title)}</h2>
-      </header>
-      <div class="watchlist-card__controls">
-        <p class="watchlist-card__count">${wl.items.length} items</p>
-        <button 
-          class="btn btn--icon btn--text btn--small"
-          data-action="share-watchlist"
-          data-watchlist-id="${wl.id}"
-          aria-label="Share ${escapeHTML(wl.title)}">
-          <ion-icon name="share-social-outline"></ion-icon>
-        </button>
-      </div>
-    </article>`,
-    )
-    .join("");
+  if (!isLegacy || readOnlyReason) return;
+
+  try {
+    await storageAdapter.save({
+      schemaVersion: SCHEMA_VERSION,
+      watchlists: libraryCache,
+    });
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    // the localStorage copy stays, it is only read while IndexedDB is empty
+    console.error("Failed to move watchlists to IndexedDB:", error);
+  }
+}
+
+// POSTER CACHE //
+
+/**
+ * Load cached posters into object URLs so rendering can stay synchronous
+ */
+async function loadPosterCache() {
+  if (!database) return;
+
+  try {
+    const records = await promisifyRequest(
+      database.transaction("posters").objectStore("posters").getAll(),
+    );
+    records.forEach((record) => {
+      if (record.blob) {
+        posterObjectUrls.set(record.url, URL.createObjectURL(record.blob));
+      } else if (record.failedAt) {
+        posterFailures.set(record.url, new Date(record.failedAt).getTime());
+      }
+    });
+  } catch (error) {
+    console.warn("Failed to load poster cache:", error);
+  }
+}
+
+/**
+ * Resolve the src to render: cached copy, then remote URL, then a placeholder
+ */
+function getPosterSrc(movie) {
+  if (!movie.posterUrl) return createPlaceholderPoster(movie.title);
+  return posterObjectUrls.get(movie.posterUrl) ?? movie.posterUrl;
+}
+
+/**
+ * Generate an SVG poster showing the title's initials
+ * The background hue is derived from the title so each one looks distinct
+ */
+function createPlaceholderPoster(title) {
+  const initials =
+    title
+      .split(/\s+/)
+      .filter(Boolean)
+      .slice(0, 2)
+      .map((word) => [...word][0].toUpperCase())
+      .join("") || "?";
+  const hue = [...title].reduce(
+    (hash, char) => (hash * 31 + char.codePointAt(0)) % 360,
+    0,
+  );
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${POSTER_MAX_WIDTH}" height="${POSTER_MAX_HEIGHT}" viewBox="0 0 ${POSTER_MAX_WIDTH} ${POSTER_MAX_HEIGHT}"><rect width="100%" height="100%" fill="hsl(${hue} 35% 25%)"/><text x="50%" y="50%" fill="#ffffff" font-family="Outfit, system-ui, sans-serif" font-size="72" font-weight="700" text-anchor="middle" dominant-baseline="central">${escapeHTML(initials)}</text></svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Shrink a downloaded poster to card size before storing it
+ */
+async function downscalePoster(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(
+    1,
+    POSTER_MAX_WIDTH / bitmap.width,
+    POSTER_MAX_HEIGHT / bitmap.height,
+  );
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (result) =>
+        result ? resolve(result) : reject(new Error("Failed to encode poster")),
+      "image/jpeg",
+      0.8,
+    );
+  });
+}
+
+function putPosterRecord(record) {
+  const transaction = database.transaction("posters", "readwrite");
+  transaction.objectStore("posters").put(record);
+  return promisifyTransaction(transaction);
+}
+
+/**
+ * Download, downscale and store one poster
+ * Needs the image host to allow CORS, otherwise the card keeps using the remote URL
+ * Resolves to true when the poster was cached
+ */
+async function cachePoster(url) {
+  if (!database || !validatePosterUrl(url)) return false;
+
+  try {
+    const response = await fetch(url, { mode: "cors" });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const blob = await downscalePoster(await response.blob());
+
+    await putPosterRecord({
+      url,
+      blob,
+      cachedAt: new Date().toISOString(),
+      failedAt: null,
+    });
+
+    const previous = posterObjectUrls.get(url);
+    if (previous) URL.revokeObjectURL(previous);
+    posterObjectUrls.set(url, URL.createObjectURL(blob));
+    posterFailures.delete(url);
+    return true;
+  } catch (error) {
+    console.warn(`Failed to cache poster ${url}:`, error);
+    const failedAt = new Date();
+    posterFailures.set(url, failedAt.getTime());
+    // a failed re-cache must not overwrite a copy we already have
+    if (!posterObjectUrls.has(url)) {
+      await putPosterRecord({
+        url,
+        blob: null,
+        cachedAt: null,
+        failedAt: failedAt.toISOString(),
+      }).catch(() => {});
+    }
+    return false;
+  }
+}
+
+/**
+ * Every distinct poster URL referenced by the library
+ */
+function getLibraryPosterUrls() {
+  return new Set(
+    libraryCache
+      .flatMap((wl) => wl.items.map((item) => item.posterUrl))
+      .filter(Boolean),
+  );
+}
+
+/**
+ * Cache posters one at a time, resolving to how many succeeded
+ */
+async function cachePosters(urls) {
+  let cached = 0;
+  for (const url of urls) {
+    if (await cachePoster(url)) cached += 1;
+  }
+  return cached;
+}
+
+/**
+ * Background pass for posters that aren't cached yet
+ * Skips recent failures so hosts without CORS aren't retried on every launch
+ */
+function cacheMissingPosters() {
+  if (!database || !navigator.onLine) return Promise.resolve(0);
+
+  const now = Date.now();
+  const missing = [...getLibraryPosterUrls()].filter(
+    (url) =>
+      !posterObjectUrls.has(url) &&
+      now - (posterFailures.get(url) ?? 0) > POSTER_RETRY_AFTER_MS,
+  );
+  return cachePosters(missing);
+}
+
+/**
+ * Remove cached posters that no item references anymore
+ * Resolves to the number of posters removed
+ */
+async function cleanUpPosterCache() {
+  if (!database) return 0;
+
+  const inUse = getLibraryPosterUrls();
+  const urls = await promisifyRequest(
+    database.transaction("posters").objectStore("posters").getAllKeys(),
+  );
+  const orphaned = urls.filter((url) => !inUse.has(url));
+
+  const transaction = database.transaction("posters", "readwrite");
+  orphaned.forEach((url) => transaction.objectStore("posters").delete(url));
+  await promisifyTransaction(transaction);
+
+  orphaned.forEach((url) => {
+    const objectUrl = posterObjectUrls.get(url);
+    if (objectUrl) URL.revokeObjectURL(objectUrl);
+    posterObjectUrls.delete(url);
+    posterFailures.delete(url);
+  });
+
+  return orphaned.length;
+}
+
+function updatePosterCacheStatus() {
+  posterCacheStatus.textContent = database
+    ? `${posterObjectUrls.size} of ${getLibraryPosterUrls().size} posters saved for offline use.`
+    : "Offline posters need IndexedDB, which isn't available in this browser.";
+  btnRecachePosters.disabled = !database;
+  btnCleanPosters.disabled = !database;
+}
+
+// METADATA LOOKUP //
+// optional type-ahead in the add dialog, manual entry always works without it
+// providers are factories taking the settings and returning { name, label, search, getDetails }:
+// - search(query, type, signal) resolves to [{ id, type, title, year, posterUrl }]
+// - getDetails(result, signal) resolves to { title, year, runtime, posterUrl, episodeCounts }
+
+const METADATA_PROVIDERS = {
+  tmdb: createTmdbProvider,
+};
+
+/**
+ * TMDB, or any server answering the same v3 endpoints at the configured base URL
+ * Keys starting with "eyJ" are v4 read access tokens and are sent as a bearer token
+ */
+function createTmdbProvider({
+  metadataApiKey,
+  metadataBaseUrl,
+  metadataImageBaseUrl,
+}) {
+  const baseUrl = metadataBaseUrl.replace(/\/+$/, "");
+  const imageBaseUrl = metadataImageBaseUrl.replace(/\/+$/, "");
+  const isToken = metadataApiKey.startsWith("eyJ");
+
+  const request = async (path, params, signal) => {
+    const url = new URL(`${baseUrl}${path}`);
+    Object.entries(params).forEach(([key, value]) =>
+      url.searchParams.set(key, value),
+    );
+    if (!isToken) url.searchParams.set("api_key", metadataApiKey);
+
+    const response = await fetch(url, {
+      signal,
+      headers: isToken ? { Authorization: `Bearer ${metadataApiKey}` } : {},
+    });
+    if (!response.ok) {
+      throw new Error(`Metadata request failed with ${response.status}`);
+    }
+    return response.json();
+  };
+
+  // posters come back as paths, a compatible server may return full URLs instead
+  const getPosterUrl = (path) => {
+    if (typeof path !== "string" || !path) return "";
+    const url = /^https?:\/\//.test(path) ? path : `${imageBaseUrl}${path}`;
+    return validatePosterUrl(url) ? url : "";
+  };
+
+  const getYear = (date) =>
+    /^\d{4}/.test(date ?? "") ? Number(date.slice(0, 4)) : null;
+
+  return {
+    name: "tmdb",
+    label: "TMDB",
+
+    async search(query, type, signal) {
+      const isSeries = type === "series";
+      const data = await request(
+        isSeries ? "/search/tv" : "/search/movie",
+        { query, include_adult: "false" },
+        signal,
+      );
+
+      return (Array.isArray(data.results) ? data.results : [])
+        .map((result) => ({
+          id: result.id,
+          type,
+          title: isSeries ? result.name : result.title,
+          year: getYear(isSeries ? result.first_air_date : result.release_date),
+          posterUrl: getPosterUrl(result.poster_path),
+        }))
+        .filter(
+          (result) =>
+            (typeof result.id === "number" || typeof result.id === "string") &&
+            typeof result.title === "string" &&
+            result.title.trim(),
+        )
+        .slice(0, METADATA_MAX_RESULTS);
+    },
+
+    async getDetails(result, signal) {
+      const isSeries = result.type === "series";
+      const data = await request(
+        `/${isSeries ? "tv" : "movie"}/${encodeURIComponent(result.id)}`,
+        {},
+        signal,
+      );
+      // season 0 holds specials, which aren't tracked
+      const episodeCounts = isSeries
+        ? (Array.isArray(data.seasons) ? data.seasons : [])
+            .filter((season) => season.season_number > 0)
+            .map((season) => season.episode_count)
+        : null;
+
+      return {
+        title: (isSeries ? data.name : data.title) || result.title,
+        year:
+          getYear(isSeries ? data.first_air_date : data.release_date) ??
+          result.year,
+        // for a series this is the length of one episode
+        runtime: isSeries ? (data.episode_run_time?.[0] ?? null) : data.runtime,
+        posterUrl: getPosterUrl(data.poster_path) || result.posterUrl,
+        episodeCounts:
+          episodeCounts && isValidEpisodeCounts(episodeCounts)
+            ? episodeCounts
+            : null,
+      };
+    },
+  };
+}
+
+/**
+ * The provider chosen in settings, or null while no API key is set
+ */
+function getMetadataProvider() {
+  const settings = loadSettings();
+  if (!settings.metadataApiKey) return null;
+  return METADATA_PROVIDERS[settings.metadataProvider]?.(settings) ?? null;
+}
+
+/**
+ * Release year, null when unknown
+ */
+function isValidYear(year) {
+  return (
+    year === null ||
+    (Number.isInteger(year) &&
+      year >= 1870 &&
+      year <= new Date().getFullYear() + 10)
+  );
+}
+
+/**
+ * Runtime in minutes, per episode for a series, null when unknown
+ */
+function isValidRuntime(runtime) {
+  return (
+    runtime === null ||
+    (Number.isInteger(runtime) && runtime > 0 && runtime <= 10000)
+  );
+}
+
+/**
+ * Search as the title is typed, waiting for a pause and cancelling stale requests
+ */
+function queueMetadataSearch() {
+  const query = inputMovieTitle.value.trim();
+
+  // typing over a picked title means it no longer describes the same movie
+  if (pickedMetadata && pickedMetadata.title !== query) {
+    pickedMetadata = null;
+    setMetadataStatus("");
+  }
+
+  clearTimeout(metadataSearchTimer);
+  metadataSearchController?.abort();
+
+  const provider = getMetadataProvider();
+  if (!provider || query.length < METADATA_MIN_QUERY_LENGTH || pickedMetadata) {
+    hideMetadataSuggestions();
+    return;
+  }
+
+  metadataSearchTimer = setTimeout(
+    () => searchMetadata(provider, query),
+    METADATA_DEBOUNCE_MS,
+  );
+}
+
+async function searchMetadata(provider, query) {
+  const controller = new AbortController();
+  metadataSearchController = controller;
+  const type = formCreateMovie.elements["item-type"].value;
+
+  try {
+    metadataResults = await provider.search(query, type, controller.signal);
+    metadataActiveIndex = -1;
+    renderMetadataSuggestions();
+    setMetadataStatus(
+      metadataResults.length > 0
+        ? ""
+        : `Nothing found on ${provider.label}, you can still fill in the details yourself.`,
+    );
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.warn("Metadata search failed:", error);
+    hideMetadataSuggestions();
+    setMetadataStatus(
+      `Couldn't reach ${provider.label}, you can still fill in the details yourself.`,
+    );
+  }
+}
+
+function renderMetadataSuggestions() {
+  movieSuggestions.innerHTML = metadataResults
+    .map(
+      (result, index) => `
+        <li
+          class="suggestion"
+          id="movie-suggestion-${index}"
+          role="option"
+          data-index="${index}"
+          aria-selected="${index === metadataActiveIndex}">
+          ${
+            result.posterUrl
+              ? `<img class="suggestion__poster" src="${escapeHTML(result.posterUrl)}" alt="" loading="lazy" />`
+              : `<span class="suggestion__poster" aria-hidden="true"></span>`
+          }
+          <span class="suggestion__title">${escapeHTML(result.title)}</span>
+          ${result.year ? `<span class="suggestion__year">${result.year}</span>` : ""}
+        </li>`,
+    )
+    .join("");
+
+  const isOpen = metadataResults.length > 0;
+  movieSuggestions.classList.toggle("hide", !isOpen);
+  inputMovieTitle.setAttribute("aria-expanded", String(isOpen));
+  if (metadataActiveIndex >= 0) {
+    inputMovieTitle.setAttribute(
+      "aria-activedescendant",
+      `movie-suggestion-${metadataActiveIndex}`,
+    );
+  } else {
+    inputMovieTitle.removeAttribute("aria-activedescendant");
+  }
+}
+
+function hideMetadataSuggestions() {
+  metadataResults = [];
+  metadataActiveIndex = -1;
+  renderMetadataSuggestions();
+}
+
+function setMetadataStatus(message) {
+  movieLookupStatus.textContent = message;
+  movieLookupStatus.classList.toggle("hide", !message);
+}
+
+/**
+ * Fill the add dialog from a search result, fetching the details the search leaves out
+ */
+async function pickMetadataResult(index) {
+  const result = metadataResults[index];
+  const provider = getMetadataProvider();
+  if (!result || !provider) return;
+
+  hideMetadataSuggestions();
+  metadataSearchController?.abort();
+  const controller = new AbortController();
+  metadataSearchController = controller;
+  setMetadataStatus(`Loading details from ${provider.label}…`);
+
+  let details;
+  try {
+    details = await provider.getDetails(result, controller.signal);
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    // the search result alone still fills in most of the form
+    console.warn("Metadata details failed:", error);
+    details = { ...result, runtime: null, episodeCounts: null };
+  }
+
+  const title = details.title.trim();
+  inputMovieTitle.value = title;
+  if (details.posterUrl) inputMoviePosterUrl.value = details.posterUrl;
+  if (details.episodeCounts) {
+    inputSeriesEpisodes.value = details.episodeCounts.join(", ");
+  }
+
+  pickedMetadata = {
+    title,
+    year: isValidYear(details.year) ? details.year : null,
+    runtime: isValidRuntime(details.runtime) ? details.runtime : null,
+  };
+
+  const summary = formatItemMetadata({
+    type: result.type,
+    ...pickedMetadata,
+  });
+  setMetadataStatus(
+    `Filled in from ${provider.label}${summary ? `: ${summary}` : ""}.${
+      details.posterUrl ? "" : " No poster found, please add one."
+    }`,
+  );
+  updateDuplicateWarning();
+}
+
+/**
+ * e.g. "2008 · 2h 6m", or "2011 · 55m episodes" for a series
+ */
+function formatItemMetadata({ type, year, runtime }) {
+  const parts = [];
+  if (year) parts.push(String(year));
+  if (runtime) {
+    const hours = Math.floor(runtime / 60);
+    const minutes = runtime % 60;
+    const length = [hours ? `${hours}h` : "", minutes ? `${minutes}m` : ""]
+      .filter(Boolean)
+      .join(" ");
+    parts.push(type === "series" ? `${length} episodes` : length);
+  }
+  return parts.join(" · ");
+}
+
+// SERVICE WORKER //
+
+/**
+ * Register the offline service worker and watch for new versions
+ * A new worker waits until the user reloads from the update prompt
+ */
+async function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+
+  try {
+    const registration = await navigator.serviceWorker.register("./sw.js");
+
+    // a worker may already be waiting from an earlier visit
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      showUpdatePrompt(registration.waiting);
+    }
+
+    registration.addEventListener("updatefound", () => {
+      const worker = registration.installing;
+      worker?.addEventListener("statechange", () => {
+        // without a controller this is the first install, not an update
+        if (
+          worker.state === "installed" &&
+          navigator.serviceWorker.controller
+        ) {
+          showUpdatePrompt(worker);
+        }
+      });
+    });
+
+    // long-lived sessions (installed PWA) check when brought back to the front
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "visible") {
+        registration.update().catch(() => {});
+      }
+    });
+  } catch (error) {
+    console.warn("Service worker registration failed:", error);
+  }
+}
+
+function showUpdatePrompt(worker) {
+  waitingWorker = worker;
+  updateToast.classList.remove("hide");
+}
+
+// UTILITY FUNCTIONS //
+
+/**
+ * Returns a copy of the library from the in-memory cache
+ * Callers mutate the copy freely and hand it back to saveWatchlists
+ */
+function loadWatchlists() {
+  return structuredClone(libraryCache);
+}
+
+/**
+ * The cached library itself, without a copy, for callers that only read it
+ * Anything that changes the library goes through loadWatchlists and saveWatchlists
+ */
+function getLibrary() {
+  return libraryCache;
+}
+
+/**
+ * Update the cache synchronously and persist in the background
+ * Writes are queued so they land in the order they were made
+ * Refused while read-only, so stored data this release can't handle is never overwritten
+ */
+function saveWatchlists(watchlists) {
+  if (readOnlyReason) {
+    alert(readOnlyReason);
+    return persistQueue;
+  }
+
+  libraryCache = structuredClone(watchlists);
+  ensureUniqueItemIds(libraryCache);
+  searchIndex = null;
+  const envelope = { schemaVersion: SCHEMA_VERSION, watchlists: libraryCache };
+
+  queueSyncBroadcast();
+
+  persistQueue = persistQueue
+    .then(() => storageAdapter.save(envelope))
+    .catch((error) => {
+      // handle quota exceeded or private browsing mode
+      console.error("Failed to save watchlists:", error);
+      alert("Unable to save changes. Your storage may be full.");
+    });
+
+  return persistQueue;
+}
+
+/**
+ * Item IDs key the stored records, so they must be unique across the whole library
+ * A repeat (e.g. one backed up item restored into two lists) gets a new ID, share IDs stay
+ */
+function ensureUniqueItemIds(watchlists) {
+  const seen = new Set();
+  watchlists.forEach((wl) =>
+    wl.items.forEach((item) => {
+      if (seen.has(item.id)) item.id = generateId();
+      seen.add(item.id);
+    }),
+  );
+}
+
+function generateId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Short random identifier that travels with shared copies
+ * Kept short because every item carries one inside share links
+ */
+function generateShareId() {
+  return bytesToBase64Url(crypto.getRandomValues(new Uint8Array(6)));
+}
+
+/**
+ * New unwatched item, series get one season per entry in episodeCounts
+ */
+function createMovie(
+  {
+    type = "movie",
+    title,
+    posterUrl,
+    year = null,
+    runtime = null,
+    episodeCounts = null,
+  },
+  order,
+) {
+  return {
+    id: generateId(),
+    shareId: generateShareId(),
+    type,
+    title,
+    posterUrl,
+    year,
+    runtime,
+    watched: false,
+    watchedAt: null,
+    watchedAtEstimated: false,
+    order,
+    addedAt: new Date().toISOString(),
+    ...createReview(),
+    memberStates: {},
+    ...(type === "series" && { seasons: createSeasons(episodeCounts) }),
+  };
+}
+
+/**
+ * Validate poster URL to prevent XSS attacks
+ * Only allow http and https protocols
+ */
+function validatePosterUrl(url) {
+  if (!url || typeof url !== "string") return false;
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === "http:" || parsed.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+function isValidDate(value) {
+  return typeof value === "string" && !isNaN(new Date(value));
+}
+
+/**
+ * Format a watch timestamp for display
+ * Estimated dates only carry a month, so they're shown as "~March 2024"
+ */
+function formatWatchedDate(movie) {
+  const date = new Date(movie.watchedAt);
+  if (movie.watchedAtEstimated) {
+    return `~${date.toLocaleDateString(undefined, { month: "long", year: "numeric" })}`;
+  }
+  return date.toLocaleDateString(undefined, {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+}
+
+function formatRevisionDate(savedAt) {
+  return new Date(savedAt).toLocaleDateString(undefined, {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+}
+
+/**
+ * Escape HTML to prevent XSS in user-provided content
+ * Safe for text content and quoted attribute values - URLs are validated separately
+ */
+function escapeHTML(str) {
+  const el = document.createElement("span");
+  el.textContent = str;
+  return el.innerHTML.replaceAll('"', "&quot;").replaceAll("'", "&#39;");
+}
+
+/**
+ * Split CSV text into rows of fields, fields are left untrimmed
+ * Quoted fields may contain commas, line breaks and doubled quotes
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Summarize how far through a watchlist we are, with members only what everyone watched counts
+ * next is the first unwatched item by order, or null when everything is watched
+ */
+function getWatchlistProgress(watchlist) {
+  const isWatched = (item) => isWatchedByEveryone(watchlist.members, item);
+  const total = watchlist.items.length;
+  const watched = watchlist.items.filter(isWatched).length;
+  const next =
+    watchlist.items
+      .filter((item) => !isWatched(item))
+      .sort(MOVIE_SORTS.order)[0] ?? null;
+
+  return {
+    total,
+    watched,
+    percent: total > 0 ? Math.round((watched / total) * 100) : 0,
+    next,
+  };
+}
+
+/**
+ * A copy of one watchlist, so lookups don't copy the whole library
+ */
+function getWatchlistById(id) {
+  return structuredClone(libraryCache.find((wl) => wl.id === id));
+}
+
+// CONFIRMATION DIALOG //
+
+/**
+ * Show confirmation dialog if setting is enabled
+ * Returns a Promise that resolves with true/false based on user choice
+ */
+function showConfirmation(
+  title,
+  message,
+  { details = "", confirmLabel = "Confirm", force = false } = {},
+) {
+  const settings = loadSettings();
+
+  // if confirmations disabled, auto-confirm (force is for choices that can't be defaulted)
+  if (!settings.confirmationsEnabled && !force) {
+    return Promise.resolve(true);
+  }
+
+  return new Promise((resolve) => {
+    dialogConfirmTitle.textContent = title;
+    dialogConfirmMessage.textContent = message;
+    // details is trusted HTML, callers escape anything user provided
+    dialogConfirmDetails.innerHTML = details;
+    btnConfirmAction.textContent = confirmLabel;
+
+    pendingConfirmAction = resolve;
+
+    openModal(dialogConfirmOverlay, dialogConfirm, btnConfirmAction);
+  });
+}
+
+function handleConfirmAction(confirmed) {
+  if (pendingConfirmAction) {
+    pendingConfirmAction(confirmed);
+    pendingConfirmAction = null;
+  }
+  closeConfirmDialog();
+}
+
+// SHARING FUNCTIONALITY //
+
+/**
+ * Handle sharing a watchlist
+ * Creates a share link and copies it to the clipboard
+ */
+async function handleShareWatchlist(watchlistId) {
+  const watchlist = getWatchlistById(watchlistId);
+  if (!watchlist) return;
+
+  let shareLink;
+  try {
+    shareLink = await getShareLink(watchlist);
+  } catch (error) {
+    // e.g. a browser without CompressionStream("deflate-raw")
+    console.error("Failed to create share link:", error);
+    alert(
+      "Could not create a share link. Please try again in an up-to-date browser.",
+    );
+    return;
+  }
+
+  // copy to clipboard, undefined outside secure contexts
+  try {
+    await navigator.clipboard.writeText(shareLink);
+  } catch (err) {
+    console.error("Failed to copy to clipboard:", err);
+    // fallback: let the user copy the link by hand
+    openShareDialog(watchlist.title, shareLink);
+    return;
+  }
+
+  // provide user feedback
+  alert(
+    `"${watchlist.title}" link copied to clipboard!\n\nSend it to others, opening it imports the watchlist.`,
+  );
+}
+
+/**
+ * Show a watchlist's share link as a QR code for another device to scan
+ */
+async function handleShowQrCode(watchlistId) {
+  const watchlist = getWatchlistById(watchlistId);
+  if (!watchlist) return;
+
+  try {
+    openShareDialog(watchlist.title, await getShareLink(watchlist));
+    showShareQrCode();
+  } catch (error) {
+    console.error("Failed to show QR code:", error);
+    alert(
+      "Could not create a QR code. Please try again in an up-to-date browser.",
+    );
+  }
+}
+
+async function getShareLink(watchlist) {
+  return createShareLink(
+    await encodeShareCode(createShareableWatchlist(watchlist)),
+  );
+}
+
+// SHARE CODES //
+// format: WL1.<base64url of deflated JSON>.<CRC-32 of the JSON as hex>
+// the JSON only carries what an import keeps: titles, posters and season layouts
+
+/**
+ * Reduce a shareable watchlist to the compact payload
+ */
+function packShareableWatchlist(watchlist) {
+  return {
+    t: watchlist.title,
+    i: watchlist.icon,
+    s: watchlist.shareId,
+    // color and description, left out when not set
+    ...(watchlist.color && { c: watchlist.color }),
+    ...(watchlist.description && { n: watchlist.description }),
+    k: watchlist.items.map((movie) => movie.shareId),
+    m: watchlist.items.map((movie) =>
+      movie.type === "series"
+        ? [
+            movie.title,
+            movie.posterUrl,
+            movie.seasons.map((season) => season.episodes.length),
+          ]
+        : [movie.title, movie.posterUrl],
+    ),
+    // [year, runtime] per item, left out entirely when nothing was looked up
+    ...(watchlist.items.some((movie) => movie.year || movie.runtime) && {
+      d: watchlist.items.map((movie) => [
+        movie.year ?? null,
+        movie.runtime ?? null,
+      ]),
+    }),
+  };
+}
+
+/**
+ * Expand a compact payload back into the shape validateImportedWatchlist expects
+ */
+function unpackShareableWatchlist(payload) {
+  if (!payload || !Array.isArray(payload.m)) return null;
+
+  // shared identifiers are missing from codes created before they existed
+  const shareIds = Array.isArray(payload.k) ? payload.k : [];
+  const metadata = Array.isArray(payload.d) ? payload.d : [];
+
+  return {
+    title: payload.t,
+    icon: payload.i,
+    shareId: payload.s,
+    color: payload.c,
+    description: payload.n,
+    items: payload.m.map((entry, index) => {
+      const [title, posterUrl, episodeCounts] = Array.isArray(entry)
+        ? entry
+        : [];
+      const [year = null, runtime = null] = Array.isArray(metadata[index])
+        ? metadata[index]
+        : [];
+      return {
+        type: episodeCounts ? "series" : "movie",
+        shareId: shareIds[index],
+        title,
+        posterUrl,
+        year,
+        runtime,
+        watched: false,
+        order: index,
+        ...(episodeCounts && {
+          // left invalid for validateImportedWatchlist to reject
+          seasons: isValidEpisodeCounts(episodeCounts)
+            ? createSeasons(episodeCounts)
+            : null,
+        }),
+      };
+    }),
+  };
+}
+
+/**
+ * CRC-32 over a byte array, catches codes damaged in transit
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+  }
+  return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, "0");
+}
+
+function bytesToBase64Url(bytes) {
+  let binary = "";
+  // chunked so large lists don't overflow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function base64UrlToBytes(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Pipe bytes through a CompressionStream or DecompressionStream
+ */
+async function transformBytes(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * Encode a shareable watchlist as a compact, URL-safe share code
+ */
+async function encodeShareCode(watchlist) {
+  const json = new TextEncoder().encode(
+    JSON.stringify(packShareableWatchlist(watchlist)),
+  );
+  const compressed = await transformBytes(
+    json,
+    new CompressionStream("deflate-raw"),
+  );
+  return `${SHARE_CODE_PREFIX}.${bytesToBase64Url(compressed)}.${crc32(json)}`;
+}
+
+/**
+ * Decode a share code into watchlist data
+ * Throws when the code is malformed or fails its checksum
+ */
+async function decodeShareCode(code) {
+  const [prefix, body, checksum] = code.split(".");
+  if (prefix !== SHARE_CODE_PREFIX || !body || !checksum) {
+    throw new Error("Unrecognized share code");
+  }
+
+  const json = await transformBytes(
+    base64UrlToBytes(body),
+    new DecompressionStream("deflate-raw"),
+  );
+  if (crc32(json) !== checksum) {
+    throw new Error("Share code checksum mismatch");
+  }
+
+  return unpackShareableWatchlist(JSON.parse(new TextDecoder().decode(json)));
+}
+
+function createShareLink(code) {
+  const url = new URL(window.location.href);
+  url.search = "";
+  url.hash = `${IMPORT_HASH_PREFIX}${code}`;
+  return url.toString();
+}
+
+/**
+ * Pull the share code out of pasted text, which may be the whole link
+ * Returns null for anything else, such as legacy JSON
+ */
+function extractShareCode(text) {
+  // loose on purpose, so a damaged code reports a damaged link rather than bad JSON
+  const match = text.trim().match(/(?:^|#import=)(WL1\.\S*)$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Open the import dialog pre-filled when the app is opened from a share link
+ */
+function handleImportLink() {
+  if (!window.location.hash.startsWith(IMPORT_HASH_PREFIX)) return;
+
+  // share codes are URL-safe, so the fragment needs no decoding
+  const code = window.location.hash.slice(IMPORT_HASH_PREFIX.length);
+  // drop the fragment so reloading doesn't offer the import again
+  history.replaceState(
+    null,
+    "",
+    window.location.pathname + window.location.search,
+  );
+
+  openImportDialog();
+  textareaImport.value = code;
+}
+
+/**
+ * Create a shareable copy of a watchlist
+ * Resets all movies to unwatched state and removes reviews
+ * A fresh copy also gets new share IDs, so it never merges or syncs with the original
+ */
+function createShareableWatchlist(watchlist, { fresh = false } = {}) {
+  if (!watchlist) return null;
+
+  return {
+    id: generateId(), // generate new ID for imported copy
+    shareId: (!fresh && watchlist.shareId) || generateShareId(), // same list on every device
+    title: watchlist.title,
+    icon: watchlist.icon,
+    color: watchlist.color ?? null,
+    description: watchlist.description ?? "",
+    orderUpdatedAt: null,
+    members: [], // members belong to one household, the copy starts with none
+    archivedAt: null,
+    items: [...watchlist.items]
+      .sort(MOVIE_SORTS.order)
+      .map((movie, index) => createShareableMovie(movie, index, fresh)),
+  };
+}
+
+/**
+ * Create a fresh, unwatched copy of one movie or series
+ */
+function createShareableMovie(movie, order, fresh = false) {
+  return {
+    id: generateId(), // generate new ID for each movie
+    shareId: (!fresh && movie.shareId) || generateShareId(),
+    type: movie.type === "series" ? "series" : "movie",
+    title: movie.title,
+    posterUrl: movie.posterUrl,
+    year: movie.year ?? null,
+    runtime: movie.runtime ?? null,
+    watched: false, // reset to unwatched
+    watchedAt: null,
+    watchedAtEstimated: false,
+    order, // maintain order
+    addedAt: new Date().toISOString(),
+    ...createReview(), // remove review and rating
+    memberStates: {},
+    ...(movie.type === "series" && {
+      // keep the season layout, reset every episode
+      seasons: createSeasons(
+        movie.seasons.map((season) => season.episodes.length),
+      ),
+    }),
+  };
+}
+
+/**
+ * Validate imported watchlist data
+ * Ensures data structure matches expected format
+ */
+function validateImportedWatchlist(data) {
+  if (!data || typeof data !== "object") return false;
+  if (typeof data.title !== "string" || !data.title.trim()) return false;
+  if (!isValidIcon(data.icon)) return false;
+  if (data.color !== undefined && !isValidColor(data.color)) return false;
+  if (data.description !== undefined && !isValidDescription(data.description))
+    return false;
+  if (!isOptionalString(data.shareId)) return false;
+  if (!Array.isArray(data.items)) return false;
+
+  // validate each movie item, type is optional for lists shared before series existed
+  return data.items.every((item) => {
+    return (
+      item &&
+      typeof item.title === "string" &&
+      item.title.trim() &&
+      typeof item.posterUrl === "string" &&
+      // empty for items added from a pasted list without a poster
+      (item.posterUrl === "" || validatePosterUrl(item.posterUrl)) &&
+      typeof item.watched === "boolean" &&
+      typeof item.order === "number" &&
+      isOptionalString(item.shareId) &&
+      isValidYear(item.year ?? null) &&
+      isValidRuntime(item.runtime ?? null) &&
+      (item.type === undefined ||
+        item.type === "movie" ||
+        (item.type === "series" && validateSeasons(item.seasons)))
+    );
+  });
+}
+
+/**
+ * Shared identifiers are missing from lists shared by older versions
+ */
+function isOptionalString(value) {
+  return value === undefined || (typeof value === "string" && value !== "");
+}
+
+/**
+ * Validate the season and episode layout of a series
+ */
+function validateSeasons(seasons) {
+  return (
+    Array.isArray(seasons) &&
+    seasons.every(
+      (season) =>
+        season &&
+        Number.isInteger(season.number) &&
+        season.number > 0 &&
+        Array.isArray(season.episodes) &&
+        season.episodes.length > 0 &&
+        season.episodes.length <= MAX_EPISODES_PER_SEASON &&
+        season.episodes.every(
+          (episode) =>
+            episode &&
+            Number.isInteger(episode.number) &&
+            typeof episode.watched === "boolean",
+        ),
+    )
+  );
+}
+
+/**
+ * Import a watchlist from a share code, share link or legacy JSON
+ * Offers to merge into a matching local list, otherwise adds a copy
+ * Reuses createShareableWatchlist to ensure new IDs
+ * Resolves to "merged", "imported" or false
+ */
+async function importWatchlist(importText) {
+  const shareCode = extractShareCode(importText);
+
+  try {
+    const data = shareCode
+      ? await decodeShareCode(shareCode)
+      : JSON.parse(importText);
+
+    if (!validateImportedWatchlist(data)) {
+      alert(
+        "Invalid watchlist data. Please make sure you copied the entire text.",
+      );
+      return false;
+    }
+
+    const watchlists = loadWatchlists();
+    const target = findMergeTarget(watchlists, data);
+    let importData = data;
+
+    if (target) {
+      // a re-shared list: show what would change before touching anything
+      const diff = diffImportedWatchlist(target, data);
+      const merge = await showConfirmation(
+        `Update "${target.title}"`,
+        `You already have this watchlist. Merge the shared version into it? Your watched movies and reviews are kept.`,
+        {
+          details: buildMergeDiffHTML(diff),
+          confirmLabel: "Merge",
+          force: true,
+        },
+      );
+
+      if (merge) {
+        mergeImportedWatchlist(target, data, diff);
+        saveWatchlists(watchlists);
+        return "merged";
+      }
+
+      const keepSeparate = await showConfirmation(
+        "Import as a copy",
+        `Add "${data.title}" as a separate watchlist instead?`,
+        { force: true },
+      );
+
+      if (!keepSeparate) return false;
+
+      // a separate copy must not capture future merges meant for the original
+      importData = { ...data, shareId: generateShareId() };
+    } else {
+      // show confirmation dialog
+      const confirmed = await showConfirmation(
+        "Import watchlist",
+        `Import "${data.title}" with ${data.items.length} movie(s)?`,
+      );
+
+      if (!confirmed) return false;
+    }
+
+    // check for duplicate titles (optional - help prevent confusion)
+    const duplicateTitle = watchlists.find(
+      (wl) => wl.title.toLowerCase() === data.title.toLowerCase(),
+    );
+
+    if (duplicateTitle) {
+      // add "(Shared with me)" suffix to distinguish
+      importData = {
+        ...importData,
+        title: `${data.title} (Shared with me)`,
+      };
+    }
+
+    // ensure fresh IDs using the existing utility
+    const newWatchlist = createShareableWatchlist(importData);
+
+    watchlists.push(newWatchlist);
+    saveWatchlists(watchlists);
+
+    return "imported";
+  } catch (error) {
+    console.error("Import failed:", error);
+    alert(
+      shareCode
+        ? "This share link is incomplete or damaged. Ask for the link again and make sure you copy all of it."
+        : "Could not import watchlist. Please make sure you pasted the correct text.",
+    );
+    return false;
+  }
+}
+
+// MERGING //
+
+/**
+ * Find the local watchlist an import should merge into
+ * The shared identifier wins, the title only covers lists shared before it existed,
+ * two different identifiers are different lists however alike their titles
+ */
+function findMergeTarget(watchlists, data) {
+  if (data.shareId) {
+    const match = watchlists.find((wl) => wl.shareId === data.shareId);
+    if (match) return match;
+  }
+
+  return watchlists.find(
+    (wl) =>
+      (!data.shareId || !wl.shareId) &&
+      normalizeTitle(wl.title) === normalizeTitle(data.title),
+  );
+}
+
+/**
+ * Work out what merging an imported watchlist would change, without changing anything
+ * Items match on the shared identifier first, then on the title when either has none
+ * (same-title items with their own identifiers are different items, like a remake)
+ */
+function diffImportedWatchlist(local, incoming) {
+  const incomingItems = [...incoming.items].sort(MOVIE_SORTS.order);
+  const unmatched = new Set(local.items);
+  const matches = new Map(); // incoming item -> local item
+
+  const matchBy = (isMatch) => {
+    incomingItems.forEach((item) => {
+      if (matches.has(item)) return;
+      const match = [...unmatched].find((localItem) =>
+        isMatch(item, localItem),
+      );
+      if (match) {
+        matches.set(item, match);
+        unmatched.delete(match);
+      }
+    });
+  };
+  matchBy(
+    (item, localItem) => item.shareId && item.shareId === localItem.shareId,
+  );
+  matchBy(
+    (item, localItem) =>
+      (!item.shareId || !localItem.shareId) &&
+      normalizeTitle(item.title) === normalizeTitle(localItem.title),
+  );
+
+  // seasons that aired since the local copy was made
+  const newSeasons = incomingItems.flatMap((item) => {
+    const localItem = matches.get(item);
+    if (
+      item.type !== "series" ||
+      localItem?.type !== "series" ||
+      item.seasons.length <= localItem.seasons.length
+    ) {
+      return [];
+    }
+    return [
+      {
+        series: localItem,
+        episodeCounts: item.seasons
+          .slice(localItem.seasons.length)
+          .map((season) => season.episodes.length),
+      },
+    ];
+  });
+
+  return {
+    incomingItems,
+    matches,
+    added: incomingItems.filter((item) => !matches.has(item)),
+    newSeasons,
+    localOnly: [...unmatched],
+  };
+}
+
+/**
+ * Apply a merge diff to the local watchlist in place
+ * New items go right after the item that precedes them in the shared list
+ * Local items keep their watched state and reviews, nothing is removed
+ */
+function mergeImportedWatchlist(local, incoming, diff) {
+  const merged = [...local.items].sort(MOVIE_SORTS.order);
+  let previous = null; // local copy of the previous shared item
+
+  diff.incomingItems.forEach((item) => {
+    const match = diff.matches.get(item);
+    if (match) {
+      // adopt the shared identifier so the next merge doesn't rely on the title
+      if (item.shareId) match.shareId = item.shareId;
+      previous = match;
+      return;
+    }
+
+    const movie = createShareableMovie(item, 0);
+    merged.splice(previous ? merged.indexOf(previous) + 1 : 0, 0, movie);
+    previous = movie;
+  });
+
+  diff.newSeasons.forEach(({ series, episodeCounts }) => {
+    series.seasons.push(
+      ...createSeasons(episodeCounts, series.seasons.length + 1),
+    );
+    syncSeriesWatched(series);
+  });
+
+  merged.forEach((movie, index) => (movie.order = index));
+  local.items = merged;
+  if (incoming.shareId) local.shareId = incoming.shareId;
+}
+
+// FILE IMPORT //
+
+// Adapters for other services' export files, tried in order:
+// - detect({ name, text }) says whether the file looks like that service's export
+// - parse({ name, text }) returns { entries, skipped, mapping }
+//   entries: [{ title, year, runtime, watched, watchedAt, watchedAtEstimated, rating, review, spoilers }]
+//   mapping: [[their field, our field]] for the preview
+// Nothing carries a poster, imported items show the generated placeholder
+
+const IMPORT_ADAPTERS = {
+  letterboxd: {
+    label: "Letterboxd",
+    detect: ({ text }) => {
+      const { headers } = readCsvRecords(text);
+      return headers.includes("Name") && headers.includes("Letterboxd URI");
+    },
+    // diary, reviews, ratings, watched and watchlist exports share the same columns
+    parse: ({ name, text }) => {
+      const { headers, records } = readCsvRecords(text);
+      const watched = !/watchlist/i.test(name);
+      const hasWatchedDate = headers.includes("Watched Date");
+
+      return {
+        entries: records.map((record) => ({
+          title: record.Name,
+          year: parseImportNumber(record.Year),
+          runtime: null,
+          watched,
+          // without a diary date, the day it was logged is close enough
+          ...(watched &&
+            (hasWatchedDate
+              ? parseImportDate(record["Watched Date"], false)
+              : parseImportDate(record.Date, true))),
+          rating: parseImportNumber(record.Rating),
+          review: record.Review ?? "",
+          spoilers: false,
+        })),
+        skipped: 0,
+        mapping: [
+          ["Name", "Title"],
+          ["Year", "Year"],
+          hasWatchedDate
+            ? ["Watched Date", "Watched on"]
+            : watched && ["Date", "Watched around"],
+          headers.includes("Rating") && ["Rating", "Rating"],
+          headers.includes("Review") && ["Review", "Review"],
+        ].filter(Boolean),
+      };
+    },
+  },
+  imdb: {
+    label: "IMDb",
+    detect: ({ text }) => {
+      const { headers } = readCsvRecords(text);
+      return headers.includes("Const") && headers.includes("Title Type");
+    },
+    // the ratings export has "Your Rating" out of 10, list exports are unwatched
+    // series and episodes are skipped, the export has no episode counts to build seasons from
+    parse: ({ text }) => {
+      const { headers, records } = readCsvRecords(text);
+      const watched = headers.includes("Your Rating");
+      const titles = records.filter(
+        (record) =>
+          !["tvSeries", "tvMiniSeries", "tvEpisode"].includes(
+            record["Title Type"],
+          ),
+      );
+
+      return {
+        entries: titles.map((record) => ({
+          title: record.Title,
+          year: parseImportNumber(record.Year),
+          runtime: parseImportNumber(record["Runtime (mins)"]),
+          watched,
+          ...(watched && parseImportDate(record["Date Rated"], true)),
+          rating: halveRating(parseImportNumber(record["Your Rating"])),
+          review: "",
+          spoilers: false,
+        })),
+        skipped: records.length - titles.length,
+        mapping: [
+          ["Title", "Title"],
+          ["Year", "Year"],
+          ["Runtime (mins)", "Runtime"],
+          watched && ["Date Rated", "Watched around"],
+          watched && ["Your Rating", "Rating, halved to 5 stars"],
+        ].filter(Boolean),
+      };
+    },
+  },
+  trakt: {
+    label: "Trakt",
+    detect: ({ text }) => {
+      const data = parseImportJson(text);
+      return (
+        Array.isArray(data) &&
+        data.some((entry) => entry?.movie?.title || entry?.show?.title)
+      );
+    },
+    // history, watched, ratings, comments and watchlist dumps are all lists of
+    // { movie } or { show } with their own date fields. Shows and episodes are
+    // skipped, the export has no episode counts to build seasons from
+    parse: ({ text }) => {
+      const data = parseImportJson(text);
+      const titles = data.filter(
+        (entry) => typeof entry?.movie?.title === "string",
+      );
+
+      return {
+        entries: titles.map((entry) => {
+          const media = entry.movie;
+          const watchedAt = entry.watched_at ?? entry.last_watched_at;
+          const watched = Boolean(watchedAt || entry.rating);
+          return {
+            title: media.title,
+            year: parseImportNumber(media.year),
+            runtime: parseImportNumber(media.runtime),
+            watched,
+            ...(watched &&
+              (watchedAt
+                ? parseImportDate(watchedAt, false)
+                : parseImportDate(entry.rated_at, true))),
+            rating: halveRating(parseImportNumber(entry.rating)),
+            review: entry.comment?.comment ?? "",
+            spoilers: entry.comment?.spoiler === true,
+          };
+        }),
+        skipped: data.length - titles.length,
+        mapping: [
+          ["title", "Title"],
+          ["year", "Year"],
+          ["watched_at", "Watched on"],
+          ["rating", "Rating, halved to 5 stars"],
+          ["comment", "Review"],
+        ],
+      };
+    },
+  },
+};
+
+/**
+ * CSV text as objects keyed by the header row, a byte order mark is ignored
+ */
+function readCsvRecords(text) {
+  const [headers = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  const trimmedHeaders = headers.map((header) => header.trim());
+
+  return {
+    headers: trimmedHeaders,
+    records: rows
+      .filter((fields) => fields.some((field) => field.trim()))
+      .map((fields) =>
+        Object.fromEntries(
+          trimmedHeaders.map((header, index) => [
+            header,
+            (fields[index] ?? "").trim(),
+          ]),
+        ),
+      ),
+  };
+}
+
+function parseImportJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+function parseImportNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Ratings out of 10 become half stars out of 5
+ */
+function halveRating(rating) {
+  return rating === null ? null : Math.round(rating) / 2;
+}
+
+/**
+ * Watch record for a date from an export, plain dates land at midday so the
+ * day doesn't shift across time zones
+ */
+function parseImportDate(value, estimated) {
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value ?? "");
+  const date = dateOnly
+    ? new Date(dateOnly[1], dateOnly[2] - 1, dateOnly[3], 12)
+    : new Date(value ?? "");
+
+  return isNaN(date)
+    ? { watchedAt: null, watchedAtEstimated: false }
+    : { watchedAt: date.toISOString(), watchedAtEstimated: estimated };
+}
+
+/**
+ * Read an export with the first adapter that recognizes it
+ * Returns { adapter, title, entries, skipped, combined, mapping }, or null
+ * skipped counts series, episodes and rows without a title, combined counts repeat rows
+ */
+function parseImportFile(file) {
+  const adapter = Object.values(IMPORT_ADAPTERS).find((candidate) =>
+    candidate.detect(file),
+  );
+  if (!adapter) return null;
+
+  const { entries, skipped, mapping } = adapter.parse(file);
+  const titled = entries.filter((entry) => normalizeTitle(entry.title ?? ""));
+  const combinedEntries = combineImportEntries(titled);
+  const fileName = file.name
+    .replace(/\.[^.]+$/, "")
+    .replace(/[-_]+/g, " ")
+    .trim();
+
+  return {
+    adapter,
+    title: fileName ? `${adapter.label} ${fileName}` : adapter.label,
+    entries: combinedEntries,
+    skipped: skipped + entries.length - titled.length,
+    combined: titled.length - combinedEntries.length,
+    mapping,
+  };
+}
+
+/**
+ * Rewatches show up as repeated rows: keep the first watch and the latest rating and review
+ */
+function combineImportEntries(entries) {
+  const byTitle = new Map();
+
+  entries.forEach((entry) => {
+    const key = `${normalizeTitle(entry.title)}|${entry.year ?? ""}`;
+    const existing = byTitle.get(key);
+    if (!existing) {
+      byTitle.set(key, { ...entry });
+      return;
+    }
+
+    const { watched, watchedAt, watchedAtEstimated } = pickEarlierWatch(
+      existing,
+      entry,
+    );
+    Object.assign(existing, {
+      watched,
+      watchedAt,
+      watchedAtEstimated,
+      rating: entry.rating ?? existing.rating,
+      review: entry.review || existing.review,
+      spoilers: entry.review ? entry.spoilers : existing.spoilers,
+    });
+  });
+
+  return [...byTitle.values()];
+}
+
+/**
+ * Build the local watchlist for a parsed export
+ * Values that don't pass the app's own checks are dropped rather than failing the import
+ */
+function createImportedWatchlist({ title, entries }) {
+  const importedAt = new Date().toISOString();
+
+  return {
+    id: generateId(),
+    shareId: generateShareId(),
+    title,
+    icon: "🍿",
+    color: null,
+    description: "",
+    orderUpdatedAt: null,
+    members: [],
+    archivedAt: null,
+    items: entries.map((entry, index) => {
+      const rating = isValidRating(entry.rating) ? entry.rating : null;
+      const review = entry.review.trim();
+      const watched = entry.watched === true;
+
+      return {
+        ...createMovie(
+          {
+            title: entry.title.trim(),
+            posterUrl: "",
+            year: isValidYear(entry.year) ? entry.year : null,
+            runtime: isValidRuntime(entry.runtime) ? entry.runtime : null,
+          },
+          index,
+        ),
+        watched,
+        watchedAt: watched ? (entry.watchedAt ?? null) : null,
+        watchedAtEstimated: watched && entry.watchedAtEstimated,
+        review,
+        reviewUpdatedAt: review || rating ? importedAt : null,
+        rating,
+        spoilers: review !== "" && entry.spoilers,
+      };
+    }),
+  };
+}
+
+/**
+ * Import an export file as a new watchlist after previewing how it was read
+ * Resolves to "imported" or false
+ */
+async function importFile(file) {
+  let parsed;
+  try {
+    parsed = parseImportFile({ name: file.name, text: await file.text() });
+  } catch (error) {
+    console.error("Failed to read import file:", error);
+  }
+
+  if (!parsed) {
+    alert(
+      "This file wasn't recognized. Please choose a Letterboxd or IMDb CSV export, or a Trakt JSON export.",
+    );
+    return false;
+  }
+
+  if (parsed.entries.length === 0) {
+    alert(
+      `This ${parsed.adapter.label} export doesn't contain any movies. Series and episodes can't be imported from it.`,
+    );
+    return false;
+  }
+
+  const watchlists = loadWatchlists();
+  const watchlist = createImportedWatchlist(parsed);
+
+  if (
+    watchlists.some(
+      (wl) => wl.title.toLowerCase() === watchlist.title.toLowerCase(),
+    )
+  ) {
+    watchlist.title = `${watchlist.title} (Imported)`;
+  }
+
+  const confirmed = await showConfirmation(
+    `Import from ${parsed.adapter.label}`,
+    `Create "${watchlist.title}" with ${watchlist.items.length} movie(s)?`,
+    {
+      details: buildFileImportPreviewHTML(parsed, watchlist),
+      confirmLabel: "Import",
+      force: true,
+    },
+  );
+
+  if (!confirmed) return false;
+
+  watchlists.push(watchlist);
+  saveWatchlists(watchlists);
+  return "imported";
+}
+
+// QR CODES //
+// byte-mode encoder with medium error correction, after the reference algorithm in ISO/IEC 18004
+// large lists are split into a sequence of codes: WLQ:<share code checksum>:<index>/<total>:<chunk>
+// scanning decodes with BarcodeDetector where available, otherwise with the vendored jsQR (js/vendor)
+
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+  -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26,
+  26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+  28, 28, 28,
+];
+const QR_ECC_BLOCKS = [
+  -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17,
+  18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49,
+];
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+/**
+ * Modules available for data and error correction in a given version
+ */
+function getQrRawModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignCount - 10) * alignCount - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function getQrDataCodewords(version) {
+  return (
+    Math.floor(getQrRawModules(version) / 8) -
+    QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_ECC_BLOCKS[version]
+  );
+}
+
+function getQrAlignmentPositions(version, size) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step =
+    version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let pos = size - 7; positions.length < count; pos -= step) {
+    positions.splice(1, 0, pos);
+  }
+  return positions;
+}
+
+// Galois field multiplication modulo the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function qrMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Reed-Solomon error correction codewords for one block
+ */
+function qrReedSolomon(data, degree) {
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < divisor.length; j++) {
+      divisor[j] = qrMultiply(divisor[j], root);
+      if (j + 1 < divisor.length) divisor[j] ^= divisor[j + 1];
+    }
+    root = qrMultiply(root, 0x02);
+  }
+
+  const result = new Array(degree).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => (result[i] ^= qrMultiply(coef, factor)));
+  }
+  return result;
+}
+
+/**
+ * Split data into blocks, add error correction and interleave them
+ */
+function addQrErrorCorrection(data, version) {
+  const blockCount = QR_ECC_BLOCKS[version];
+  const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(getQrRawModules(version) / 8);
+  const shortBlockCount = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    const ecc = qrReedSolomon(block, eccLength);
+    if (i < shortBlockCount) block.push(0); // padding, skipped when interleaving
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+/**
+ * Penalty score the spec uses to pick the mask that scans most reliably
+ */
+function getQrPenalty(modules) {
+  const size = modules.length;
+  const finderLike = ["10111010000", "00001011101"];
+  let penalty = 0;
+  let dark = 0;
+
+  for (let a = 0; a < size; a++) {
+    const row = modules[a].map(Number).join("");
+    const column = modules.map((r) => Number(r[a])).join("");
+    for (const line of [row, column]) {
+      // long runs of one colour
+      for (const run of line.match(/0{5,}|1{5,}/g) ?? []) {
+        penalty += run.length - 2;
+      }
+      // patterns that look like a finder
+      for (const pattern of finderLike) {
+        for (
+          let i = line.indexOf(pattern);
+          i !== -1;
+          i = line.indexOf(pattern, i + 1)
+        ) {
+          penalty += 40;
+        }
+      }
+    }
+  }
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      // 2x2 blocks of one colour
+      if (
+        x < size - 1 &&
+        y < size - 1 &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        penalty += 3;
+      }
+    }
+  }
+
+  // balance of dark and light modules
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+}
+
+/**
+ * Encode text as a QR code
+ * Returns a square matrix of booleans (true = dark), or null when the text is too long
+ */
+function createQrCode(text) {
+  const bytes = new TextEncoder().encode(text);
+  const version = Array.from({ length: 40 }, (_, i) => i + 1).find(
+    (v) =>
+      4 + (v < 10 ? 8 : 16) + bytes.length * 8 <= getQrDataCodewords(v) * 8,
+  );
+  if (!version) return null;
+
+  // data bits: byte mode indicator, length, payload, terminator
+  const capacity = getQrDataCodewords(version) * 8;
+  const bits = [];
+  const appendBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  appendBits(0b0100, 4);
+  appendBits(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((byte) => appendBits(byte, 8));
+  appendBits(0, Math.min(4, capacity - bits.length));
+  appendBits(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+    appendBits(pad, 8);
+  }
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(parseInt(bits.slice(i, i + 8).join(""), 2));
+  }
+  const codewords = addQrErrorCorrection(data, version);
+
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () =>
+    new Array(size).fill(false),
+  );
+  const reserved = Array.from({ length: size }, () =>
+    new Array(size).fill(false),
+  );
+  const setFunction = (x, y, isDark) => {
+    modules[y][x] = isDark;
+    reserved[y][x] = true;
+  };
+
+  // timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  // finder patterns with their separators
+  for (const [cx, cy] of [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4],
+  ]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  // alignment patterns, except where they would overlap a finder
+  const alignment = getQrAlignmentPositions(version, size);
+  alignment.forEach((cx, i) => {
+    alignment.forEach((cy, j) => {
+      const last = alignment.length - 1;
+      if (
+        (i === 0 && j === 0) ||
+        (i === 0 && j === last) ||
+        (i === last && j === 0)
+      ) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(
+            cx + dx,
+            cy + dy,
+            Math.max(Math.abs(dx), Math.abs(dy)) !== 1,
+          );
+        }
+      }
+    });
+  });
+
+  // format information, medium error correction is 00
+  const drawFormatBits = (mask) => {
+    let remainder = mask;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const format = ((mask << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((format >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+    setFunction(8, size - 8, true); // always dark
+  };
+  drawFormatBits(0); // reserve the area before placing data
+
+  // version information
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const versionBits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const isDark = ((versionBits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, isDark);
+      setFunction(b, a, isDark);
+    }
+  }
+
+  // data in a zigzag from the bottom right, two columns at a time
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // skip the vertical timing pattern
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!reserved[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] =
+            ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+          bitIndex++;
+        }
+      }
+    }
+  }
+
+  // try every mask and keep the one with the lowest penalty
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!reserved[y][x] && QR_MASKS[mask](x, y)) {
+          modules[y][x] = !modules[y][x];
+        }
+      }
+    }
+  };
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  QR_MASKS.forEach((_, mask) => {
+    applyMask(mask);
+    drawFormatBits(mask);
+    const penalty = getQrPenalty(modules);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(mask); // XOR again to undo
+  });
+  applyMask(bestMask);
+  drawFormatBits(bestMask);
+
+  return modules;
+}
+
+/**
+ * Draw a QR matrix as an SVG with the required quiet zone around it
+ */
+function buildQrSvg(modules, label) {
+  const size = modules.length + QR_QUIET_ZONE * 2;
+  const path = modules
+    .flatMap((row, y) =>
+      row.map((isDark, x) =>
+        isDark ? `M${x + QR_QUIET_ZONE} ${y + QR_QUIET_ZONE}h1v1h-1z` : "",
+      ),
+    )
+    .join("");
+
+  return `
+    <svg class="share-qr__code" viewBox="0 0 ${size} ${size}" role="img" aria-label="${escapeHTML(label)}" shape-rendering="crispEdges">
+      <rect width="${size}" height="${size}" fill="#ffffff" />
+      <path d="${path}" fill="#000000" />
+    </svg>`;
+}
+
+/**
+ * Split a share link into the texts of a QR sequence
+ * A list that fits in one code is encoded as the plain link, so any camera app can open it
+ */
+function createQrFrames(shareLink) {
+  if (shareLink.length <= QR_CHUNK_SIZE) return [shareLink];
+
+  const code = extractShareCode(shareLink);
+  const checksum = code.split(".").at(-1);
+  const total = Math.ceil(code.length / QR_CHUNK_SIZE);
+  // equal chunks keep every code in the sequence the same size
+  const chunkSize = Math.ceil(code.length / total);
+  return Array.from(
+    { length: total },
+    (_, index) =>
+      `WLQ:${checksum}:${index + 1}/${total}:${code.slice(
+        index * chunkSize,
+        (index + 1) * chunkSize,
+      )}`,
+  );
+}
+
+/**
+ * Feed one scanned QR text into the sequence being collected
+ * Returns the complete import text once every part has been seen
+ */
+function collectQrFrame(scan, text) {
+  if (!text.startsWith("WLQ:")) {
+    return extractShareCode(text) ? text : null;
+  }
+
+  const match = text.match(/^WLQ:([0-9a-f]{8}):(\d+)\/(\d+):(.+)$/);
+  if (!match) return null;
+  const [, checksum, index, total, chunk] = match;
+
+  // a code from a different list starts a new sequence
+  if (scan.checksum !== checksum) {
+    scan.checksum = checksum;
+    scan.total = Number(total);
+    scan.chunks = new Map();
+  }
+  if (Number(index) < 1 || Number(index) > scan.total) return null;
+  scan.chunks.set(Number(index), chunk);
+
+  if (scan.chunks.size < scan.total) return null;
+  return Array.from({ length: scan.total }, (_, i) =>
+    scan.chunks.get(i + 1),
+  ).join("");
+}
+
+/**
+ * Load the vendored jsQR decoder, a classic script that defines window.jsQR
+ */
+function loadQrDecoder() {
+  qrDecoderLoading ??= new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = QR_DECODER_URL;
+    script.onload = () => resolve(window.jsQR);
+    script.onerror = () => {
+      qrDecoderLoading = null; // try again on the next scan
+      script.remove();
+      reject(new Error("Failed to load the QR decoder"));
+    };
+    document.head.append(script);
+  });
+  return qrDecoderLoading;
+}
+
+/**
+ * Create a detector whose detect(video) resolves to the QR texts in the current frame
+ * BarcodeDetector is the fast path, jsQR decodes on the device everywhere else (iOS Safari, Firefox)
+ */
+async function createQrDetector() {
+  if ("BarcodeDetector" in window) {
+    try {
+      const formats = await BarcodeDetector.getSupportedFormats();
+      if (formats.includes("qr_code")) {
+        const detector = new BarcodeDetector({ formats: ["qr_code"] });
+        return {
+          detect: async (video) =>
+            (await detector.detect(video)).map(({ rawValue }) => rawValue),
+        };
+      }
+    } catch (error) {
+      console.warn("BarcodeDetector unavailable:", error);
+    }
+  }
+
+  const jsQR = await loadQrDecoder();
+  const canvas = document.createElement("canvas");
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+
+  return {
+    async detect(video) {
+      const scale = Math.min(
+        1,
+        QR_DECODE_MAX_SIZE / Math.max(video.videoWidth, video.videoHeight),
+      );
+      canvas.width = Math.round(video.videoWidth * scale);
+      canvas.height = Math.round(video.videoHeight * scale);
+      if (!canvas.width || !canvas.height) return []; // no frame yet
+
+      context.drawImage(video, 0, 0, canvas.width, canvas.height);
+      const { data, width, height } = context.getImageData(
+        0,
+        0,
+        canvas.width,
+        canvas.height,
+      );
+      const code = jsQR(data, width, height, {
+        inversionAttempts: "dontInvert", // shown codes are always dark on light
+      });
+      return code ? [code.data] : [];
+    },
+  };
+}
+
+// BACKUP & RESTORE //
+
+/**
+ * Build a full-library backup
+ * Unlike createShareableWatchlist, keeps IDs, watched state and reviews intact
+ */
+function createBackup() {
+  return {
+    format: BACKUP_FORMAT,
+    backupVersion: BACKUP_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    settings: loadSettings(),
+    templates: loadTemplates(),
+    watchlists: getLibrary(),
+  };
+}
+
+/**
+ * Trigger a browser download for generated file contents
+ */
+function downloadFile(filename, contents, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  body.append(link);
+  link.click();
+  link.remove();
+  // revoke later, some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function handleBackupDownload() {
+  const backup = createBackup();
+  const date = backup.createdAt.slice(0, 10);
+  downloadFile(
+    `watchlistplus-backup-${date}.json`,
+    JSON.stringify(backup, null, 2),
+    "application/json",
+  );
+}
+
+/**
+ * Validate a backed up watchlist
+ * Same checks as a shared watchlist, plus the IDs, members and reviews a share drops
+ */
+function validateBackupWatchlist(watchlist) {
+  return (
+    validateImportedWatchlist(watchlist) &&
+    validateMembers(watchlist) &&
+    typeof watchlist.id === "string" &&
+    typeof watchlist.shareId === "string" &&
+    (watchlist.orderUpdatedAt === null ||
+      isValidDate(watchlist.orderUpdatedAt)) &&
+    (watchlist.archivedAt === null || isValidDate(watchlist.archivedAt)) &&
+    isValidColor(watchlist.color) &&
+    isValidDescription(watchlist.description) &&
+    watchlist.items.every(
+      (item) =>
+        typeof item.id === "string" &&
+        typeof item.shareId === "string" &&
+        isValidReviewFields(item) &&
+        item.year !== undefined &&
+        item.runtime !== undefined &&
+        (item.watchedAt === null || isValidDate(item.watchedAt)) &&
+        (item.addedAt === null || isValidDate(item.addedAt)) &&
+        (item.type !== "series" ||
+          item.seasons.every((season) =>
+            season.episodes.every(
+              (episode) =>
+                typeof episode.id === "string" &&
+                (episode.watchedAt === null || isValidDate(episode.watchedAt)),
+            ),
+          )) &&
+        typeof item.watchedAtEstimated === "boolean",
+    )
+  );
+}
+
+/**
+ * Validate a backup file and upgrade its watchlists to the current schema
+ * Returns the upgraded backup, or null if anything doesn't check out
+ */
+function parseBackup(data) {
+  if (!data || typeof data !== "object") return null;
+  if (data.format !== BACKUP_FORMAT) return null;
+  if (
+    typeof data.backupVersion !== "number" ||
+    data.backupVersion > BACKUP_VERSION
+  ) {
+    return null;
+  }
+  if (
+    typeof data.schemaVersion !== "number" ||
+    data.schemaVersion > SCHEMA_VERSION
+  ) {
+    return null;
+  }
+  if (!data.settings || typeof data.settings !== "object") return null;
+  if (!Array.isArray(data.watchlists)) return null;
+  // backups made before templates existed don't have any
+  if (data.templates !== undefined && !Array.isArray(data.templates))
+    return null;
+
+  try {
+    const watchlists = data.watchlists.map((wl) =>
+      migrateWatchlist(wl, data.schemaVersion),
+    );
+    const ids = new Set(watchlists.map((wl) => wl.id));
+    if (ids.size !== watchlists.length) return null;
+    if (!watchlists.every(validateBackupWatchlist)) return null;
+
+    const templates = (data.templates ?? []).map((template) =>
+      migrateWatchlist(template, data.schemaVersion),
+    );
+    if (!templates.every(isValidTemplate)) return null;
+
+    return {
+      ...data,
+      settings: sanitizeSettings(data.settings),
+      templates,
+      watchlists,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a backup file chosen by the user and show its preview
+ * Nothing is written until the user confirms from the preview
+ */
+async function handleRestoreFile(file) {
+  try {
+    const backup = parseBackup(JSON.parse(await file.text()));
+
+    if (!backup) {
+      alert(
+        "This file isn't a valid Watchlist+ backup. Please choose a file created with Back up library.",
+      );
+      return;
+    }
+
+    pendingRestore = backup;
+    restorePreview.innerHTML = buildRestorePreviewHTML(backup);
+    openModal(dialogRestoreOverlay, dialogRestore, btnRestoreSubmit);
+  } catch (error) {
+    console.error("Failed to read backup:", error);
+    alert("Could not read this backup file.");
+  }
+}
+
+/**
+ * Add the backed up watchlists and templates that aren't already here and apply settings
+ * Existing watchlists are never overwritten, the local copy always wins
+ */
+function restoreBackup(backup) {
+  const watchlists = loadWatchlists();
+  const existingIds = new Set(watchlists.map((wl) => wl.id));
+  const existingItemIds = new Set(
+    watchlists.flatMap((wl) => wl.items.map((item) => item.id)),
+  );
+
+  const restored = backup.watchlists
+    .filter((wl) => !existingIds.has(wl.id))
+    .map((wl) => ({
+      ...wl,
+      // item IDs must stay unique across the whole library
+      items: wl.items.map((item) =>
+        existingItemIds.has(item.id) ? { ...item, id: generateId() } : item,
+      ),
+    }));
+
+  saveWatchlists([...watchlists, ...restored]);
+
+  const templates = loadTemplates();
+  const templateIds = new Set(templates.map((template) => template.id));
+  saveTemplates([
+    ...templates,
+    ...backup.templates.filter((template) => !templateIds.has(template.id)),
+  ]);
+
+  saveSettings(backup.settings);
+  initializeSettings();
+
+  return restored.length;
+}
+
+// EXPORT //
+
+// Read-only copies for other tools, unlike a share they keep watched state and reviews
+// Every format takes a list of watchlists, so one list and the whole library share the code
+
+const EXPORT_FORMATS = {
+  csv: {
+    hint: "Title, order, watched, watch date and reviews, ready for a spreadsheet.",
+    extension: "csv",
+    type: "text/csv",
+    create: createCsvExport,
+  },
+  markdown: {
+    hint: "A checklist to paste into a wiki or notes app.",
+    extension: "md",
+    type: "text/markdown",
+    create: createMarkdownExport,
+  },
+  print: {
+    hint: "Opens a page with posters and reviews, ready to print.",
+    extension: "html",
+    type: "text/html",
+    create: createPrintExport,
+  },
+};
+
+/**
+ * Reviews on an item as plain text, prefixed with the member who wrote them
+ */
+function getExportReviews(watchlist, item) {
+  return getItemReviews(watchlist.members, item)
+    .filter((entry) => entry.review)
+    .map(({ member, review }) => ({ name: member?.name ?? null, review }));
+}
+
+function toCsvField(value) {
+  const text = String(value ?? "");
+  // spreadsheets run cells starting with these as formulas
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replaceAll('"', '""')}"` : safe;
+}
+
+/**
+ * One row per item in list order, the library export adds the watchlist title
+ */
+function createCsvExport(watchlists, isLibrary) {
+  const header = ["title", "order", "watched", "watchedAt", "review"];
+  const rows = watchlists.flatMap((wl) =>
+    [...wl.items].sort(MOVIE_SORTS.order).map((item, index) => {
+      const review = getExportReviews(wl, item)
+        .map(({ name, review }) => (name ? `${name}: ${review}` : review))
+        .join("\n\n");
+      const row = [item.title, index + 1, item.watched, item.watchedAt, review];
+      return isLibrary ? [wl.title, ...row] : row;
+    }),
+  );
+
+  return [isLibrary ? ["watchlist", ...header] : header, ...rows]
+    .map((row) => row.map(toCsvField).join(","))
+    .join("\r\n");
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<>#|]/g, "\\$&");
+}
+
+/**
+ * A task list per watchlist, reviews follow their item as quotes
+ */
+function createMarkdownExport(watchlists, isLibrary) {
+  const heading = isLibrary ? "##" : "#";
+  const sections = watchlists.map((wl) => {
+    const lines = [...wl.items].sort(MOVIE_SORTS.order).flatMap((item) => {
+      const details = [
+        formatItemMetadata(item),
+        item.type === "series" &&
+          `${getSeriesProgress(item).watched}/${getSeriesProgress(item).total} episodes`,
+        item.watchedAt && `watched ${formatWatchedDate(item)}`,
+        getItemRating(item) !== null &&
+          `${formatRating(getItemRating(item))}/${MAX_RATING}`,
+      ].filter(Boolean);
+      const reviews = getExportReviews(wl, item).flatMap(({ name, review }) =>
+        review
+          .split("\n")
+          .map(
+            (line, index) =>
+              `  > ${index === 0 && name ? `**${escapeMarkdown(name)}:** ` : ""}${escapeMarkdown(line)}`,
+          ),
+      );
+
+      return [
+        `- [${item.watched ? "x" : " "}] ${escapeMarkdown(item.title)}${details.length > 0 ? ` (${details.join(", ")})` : ""}`,
+        ...reviews,
+      ];
+    });
+
+    return [
+      `${heading} ${wl.icon} ${escapeMarkdown(wl.title)}`,
+      "",
+      ...(wl.description ? [escapeMarkdown(wl.description), ""] : []),
+      ...(lines.length > 0 ? lines : ["_Nothing added yet._"]),
+    ].join("\n");
+  });
+
+  return `${[isLibrary && "# Watchlist+ library", ...sections].filter(Boolean).join("\n\n")}\n`;
+}
+
+/**
+ * A standalone page with its own styles, each watchlist starts on a new sheet
+ * Posters load from their original URLs since the cached copies only exist inside the app
+ */
+function createPrintExport(watchlists, isLibrary) {
+  const title = isLibrary ? "Watchlist+ library" : watchlists[0].title;
+  const sections = watchlists.map((wl) => {
+    const progress = getWatchlistProgress(wl);
+    const items = [...wl.items].sort(MOVIE_SORTS.order).map((item) => {
+      const rating = getItemRating(item);
+      const details = [
+        formatItemMetadata(item),
+        item.watched
+          ? `Watched${item.watchedAt ? ` ${formatWatchedDate(item)}` : ""}`
+          : "Not watched yet",
+        rating !== null && `★ ${formatRating(rating)}/${MAX_RATING}`,
+      ].filter(Boolean);
+      const reviews = getExportReviews(wl, item).map(
+        ({ name, review }) => `
+          <blockquote>
+            ${name ? `<strong>${escapeHTML(name)}</strong>` : ""}
+            <p>${escapeHTML(review)}</p>
+          </blockquote>`,
+      );
+
+      return `
+        <li class="item">
+          <img src="${escapeHTML(validatePosterUrl(item.posterUrl) ? item.posterUrl : createPlaceholderPoster(item.title))}" alt="" />
+          <div>
+            <h2>${escapeHTML(item.title)}</h2>
+            <p class="details">${escapeHTML(details.join(" · "))}</p>
+            ${reviews.join("")}
+          </div>
+        </li>`;
+    });
+
+    return `
+      <section>
+        <h1>${escapeHTML(wl.icon)} ${escapeHTML(wl.title)}</h1>
+        ${wl.description ? `<p>${escapeHTML(wl.description)}</p>` : ""}
+        <p class="details">${progress.watched}/${progress.total} watched</p>
+        <ol>${items.join("")}</ol>
+      </section>`;
+  });
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHTML(title)}</title>
+    <style>
+      body { font-family: system-ui, sans-serif; color: #111111; margin: 2rem; }
+      section + section { break-before: page; }
+      h1 { margin: 0; }
+      h2 { font-size: 1.1rem; margin: 0 0 0.25rem; }
+      ol { list-style: none; padding: 0; }
+      .item { display: flex; gap: 1rem; padding: 0.75rem 0; border-bottom: 1px solid #dddddd; break-inside: avoid; }
+      .item img { width: 64px; height: 96px; object-fit: cover; flex-shrink: 0; border-radius: 4px; }
+      .details { color: #555555; margin: 0; }
+      blockquote { margin: 0.5rem 0 0; padding-left: 0.75rem; border-left: 3px solid #dddddd; }
+      blockquote p { margin: 0; white-space: pre-wrap; }
+    </style>
+  </head>
+  <body>${sections.join("")}</body>
+</html>
+`;
+}
+
+/**
+ * Export one watchlist or the whole library
+ * The printable page opens in a new tab and prints, downloading it when popups are blocked
+ */
+function handleExport(formatName, watchlistId, isLibrary) {
+  const format = EXPORT_FORMATS[formatName];
+  const watchlists = isLibrary
+    ? getLibrary()
+    : [getWatchlistById(watchlistId)].filter(Boolean);
+  if (!format || watchlists.length === 0) return;
+
+  const contents = format.create(watchlists, isLibrary);
+  const name = isLibrary
+    ? "watchlistplus-library"
+    : normalizeTitle(watchlists[0].title).replaceAll(" ", "-") || "watchlist";
+  const filename = `${name}-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+
+  if (formatName !== "print") {
+    downloadFile(filename, contents, format.type);
+    return;
+  }
+
+  const url = URL.createObjectURL(new Blob([contents], { type: format.type }));
+  const page = window.open(url, "_blank");
+  if (page) {
+    page.addEventListener("load", () => page.print());
+  } else {
+    downloadFile(filename, contents, format.type);
+  }
+  // the open tab keeps its copy, a minute is plenty to load it
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+}
+
+// LIVE SYNC //
+// paired devices exchange the full state of one watchlist and merge it deterministically:
+// - items are matched by shareId and never removed
+// - watched is one way, the earliest known watch date wins
+// - the most recently edited review wins, a tie goes to the alphabetically later text
+// - the most recent reorder wins, items it didn't know about stay after their predecessor
+// the merge gives the same result whichever device runs it, so both sides converge
+
+/**
+ * Transports carry sync messages between paired devices
+ * Each is a factory taking the relay address and returning { name, connect(room, handlers) },
+ * connect returns { send(data), close() } right away and reports progress through the handlers
+ * handlers.onStatus receives "offline" | "waiting" | "connected", handlers.onMessage the data sent by the peer
+ */
+const SYNC_TRANSPORTS = {
+  webrtc: createWebRTCTransport,
+  relay: createRelayTransport,
+};
+
+/**
+ * Relay transport: every message goes through a WebSocket relay (see tools/sync-relay.mjs)
+ */
+function createRelayTransport(relayUrl) {
+  return {
+    name: "relay",
+    connect(room, { onMessage, onStatus }) {
+      let socket = null;
+      let retryTimer = null;
+      let closed = false;
+
+      const open = () => {
+        socket = new WebSocket(relayUrl);
+        socket.addEventListener("open", () => {
+          socket.send(JSON.stringify({ type: "join", room }));
+        });
+        socket.addEventListener("message", (e) => {
+          let message;
+          try {
+            message = JSON.parse(e.data);
+          } catch {
+            return;
+          }
+          if (message.type === "peers") {
+            onStatus(message.count > 1 ? "connected" : "waiting");
+          } else if (message.type === "message") {
+            onMessage(message.data);
+          }
+        });
+        socket.addEventListener("close", () => {
+          if (closed) return;
+          onStatus("offline");
+          retryTimer = setTimeout(open, SYNC_RETRY_MS);
+        });
+      };
+      open();
+
+      return {
+        send(data) {
+          if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type: "message", data }));
+          }
+        },
+        close() {
+          closed = true;
+          clearTimeout(retryTimer);
+          socket.close();
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Direct transport: a WebRTC data channel between the two devices
+ * The relay only carries the connection handshake. No STUN or TURN servers are used,
+ * so a direct connection usually only works on the same network. When it fails or
+ * doesn't open in time, both devices carry on through the relay's handshake room
+ */
+function createWebRTCTransport(relayUrl) {
+  return {
+    name: "webrtc",
+    connect(room, { onMessage, onStatus }) {
+      const peerId = generateShareId();
+      let connection = null;
+      let channel = null;
+      let relayed = false; // messages go through the relay after the direct connection failed
+      let connectTimer = null;
+
+      const reset = () => {
+        clearTimeout(connectTimer);
+        relayed = false;
+        channel = null;
+        connection?.close();
+        connection = null;
+      };
+
+      // the device that gives up first tells the other, so both switch together
+      const fallBack = (notifyPeer) => {
+        if (relayed || channel?.readyState === "open") return;
+        reset();
+        relayed = true;
+        onStatus("connected");
+        if (notifyPeer) signaling.send({ kind: "fallback" });
+      };
+
+      const setUpChannel = (dataChannel) => {
+        channel = dataChannel;
+        channel.addEventListener("open", () => {
+          clearTimeout(connectTimer);
+          onStatus("connected");
+        });
+        channel.addEventListener("close", () => {
+          reset();
+          onStatus("waiting");
+          signaling.send({ kind: "announce", peerId });
+        });
+        channel.addEventListener("message", (e) => {
+          try {
+            onMessage(JSON.parse(e.data));
+          } catch (error) {
+            console.warn("Ignoring malformed sync message:", error);
+          }
+        });
+      };
+
+      const createConnection = () => {
+        reset();
+        connection = new RTCPeerConnection({ iceServers: [] });
+        connection.addEventListener("datachannel", (e) =>
+          setUpChannel(e.channel),
+        );
+        connection.addEventListener("connectionstatechange", () => {
+          if (connection?.connectionState === "failed") fallBack(true);
+        });
+        connectTimer = setTimeout(
+          () => fallBack(true),
+          WEBRTC_CONNECT_TIMEOUT_MS,
+        );
+        return connection;
+      };
+
+      // the handshake is sent once with every candidate in it, so one message each way is enough
+      const describe = async (peer, description) => {
+        await peer.setLocalDescription(description);
+        if (peer.iceGatheringState !== "complete") {
+          await new Promise((resolve) => {
+            peer.addEventListener("icegatheringstatechange", () => {
+              if (peer.iceGatheringState === "complete") resolve();
+            });
+          });
+        }
+        return peer.localDescription;
+      };
+
+      const handleSignal = async (signal) => {
+        if (signal.kind === "data") {
+          onMessage(signal.data);
+        } else if (signal.kind === "fallback") {
+          fallBack(false);
+        } else if (signal.kind === "announce" && signal.peerId !== peerId) {
+          if (connection || relayed) return; // already connected or negotiating
+          // the device with the larger id makes the offer, the other answers it
+          if (peerId > signal.peerId) {
+            const peer = createConnection();
+            setUpChannel(peer.createDataChannel("watchlist"));
+            const description = await describe(peer, await peer.createOffer());
+            signaling.send({
+              kind: "offer",
+              from: peerId,
+              to: signal.peerId,
+              description,
+            });
+          } else {
+            signaling.send({ kind: "announce", peerId });
+          }
+        } else if (signal.kind === "offer" && signal.to === peerId) {
+          const peer = createConnection();
+          await peer.setRemoteDescription(signal.description);
+          const description = await describe(peer, await peer.createAnswer());
+          signaling.send({ kind: "answer", to: signal.from, description });
+        } else if (signal.kind === "answer" && signal.to === peerId) {
+          await connection?.setRemoteDescription(signal.description);
+        }
+      };
+
+      const signaling = createRelayTransport(relayUrl).connect(
+        `${room}/signal`,
+        {
+          onStatus(status) {
+            if (channel?.readyState === "open") return;
+            // someone joined or left the room: start the handshake over
+            reset();
+            onStatus(status === "connected" ? "waiting" : status);
+            if (status === "connected") {
+              signaling.send({ kind: "announce", peerId });
+            }
+          },
+          onMessage(signal) {
+            handleSignal(signal).catch((error) => {
+              console.warn("WebRTC handshake failed:", error);
+              fallBack(true);
+            });
+          },
+        },
+      );
+
+      return {
+        send(data) {
+          if (channel?.readyState === "open") {
+            channel.send(JSON.stringify(data));
+          } else if (relayed) {
+            signaling.send({ kind: "data", data });
+          }
+        },
+        close() {
+          signaling.close();
+          reset();
+        },
+      };
+    },
+  };
+}
+
+function loadSyncPairings() {
+  try {
+    const pairings = JSON.parse(localStorage.getItem(SYNC_KEY));
+    return Array.isArray(pairings) ? pairings : [];
+  } catch {
+    console.warn("Failed to load sync pairings from localStorage");
+    return [];
+  }
+}
+
+function saveSyncPairings() {
+  const pairings = [...syncSessions.values()].map(({ room, watchlistId }) => ({
+    room,
+    watchlistId,
+  }));
+  try {
+    localStorage.setItem(SYNC_KEY, JSON.stringify(pairings));
+  } catch (error) {
+    console.error("Failed to save sync pairings:", error);
+  }
+}
+
+/**
+ * Pairing codes look like K7QM-2PXA, leaving out characters that are easy to misread
+ */
+function generatePairingCode() {
+  const alphabet = "ABCDEFGHJKMNPQRSTVWXYZ23456789";
+  const chars = Array.from(
+    crypto.getRandomValues(new Uint8Array(8)),
+    (byte) => alphabet[byte % alphabet.length],
+  );
+  return `${chars.slice(0, 4).join("")}-${chars.slice(4).join("")}`;
+}
+
+function normalizePairingCode(value) {
+  const code = value.toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return code.length === 8 ? `${code.slice(0, 4)}-${code.slice(4)}` : null;
+}
+
+/**
+ * The part of a watchlist that is exchanged, without device-specific IDs
+ */
+function getSyncState(watchlist) {
+  return {
+    shareId: watchlist.shareId,
+    title: watchlist.title,
+    icon: watchlist.icon,
+    color: watchlist.color,
+    description: watchlist.description,
+    orderUpdatedAt: watchlist.orderUpdatedAt,
+    members: watchlist.members.map(({ id, name }) => ({ id, name })),
+    items: [...watchlist.items].sort(MOVIE_SORTS.order).map((item, index) => ({
+      shareId: item.shareId,
+      type: item.type,
+      title: item.title,
+      posterUrl: item.posterUrl,
+      year: item.year,
+      runtime: item.runtime,
+      watched: item.watched,
+      watchedAt: item.watchedAt,
+      watchedAtEstimated: item.watchedAtEstimated,
+      order: index,
+      addedAt: item.addedAt,
+      ...getReviewFields(item),
+      // in member order so both devices serialize the same state identically
+      memberStates: Object.fromEntries(
+        watchlist.members
+          .filter((member) => item.memberStates[member.id])
+          .map((member) => {
+            const state = item.memberStates[member.id];
+            return [
+              member.id,
+              {
+                watched: state.watched,
+                watchedAt: state.watchedAt,
+                watchedAtEstimated: state.watchedAtEstimated,
+                watchedEpisodes: Object.fromEntries(
+                  Object.keys(state.watchedEpisodes)
+                    .sort()
+                    .map((key) => [key, state.watchedEpisodes[key]]),
+                ),
+                ...getReviewFields(state),
+              },
+            ];
+          }),
+      ),
+      ...(item.type === "series" && {
+        seasons: item.seasons.map((season) => ({
+          number: season.number,
+          episodes: season.episodes.map(({ number, watched, watchedAt }) => ({
+            number,
+            watched,
+            watchedAt,
+          })),
+        })),
+      }),
+    })),
+  };
+}
+
+/**
+ * Validate a state received from a paired device
+ * Same checks as a shared watchlist, plus the history a share drops
+ */
+function validateSyncState(state) {
+  const isDateOrNull = (value) => value === null || isValidDate(value);
+
+  return (
+    validateImportedWatchlist(state) &&
+    validateMembers(state) &&
+    typeof state.shareId === "string" &&
+    isDateOrNull(state.orderUpdatedAt) &&
+    new Set(state.items.map((item) => item.shareId)).size ===
+      state.items.length &&
+    state.items.every(
+      (item) =>
+        typeof item.shareId === "string" &&
+        isValidReviewFields(item) &&
+        typeof item.watchedAtEstimated === "boolean" &&
+        isDateOrNull(item.watchedAt) &&
+        isDateOrNull(item.addedAt) &&
+        (item.type !== "series" ||
+          item.seasons.every((season) =>
+            season.episodes.every((episode) => isDateOrNull(episode.watchedAt)),
+          )),
+    )
+  );
+}
+
+/**
+ * Order two nullable ISO timestamps, null counts as oldest
+ */
+function compareSyncTimes(a, b) {
+  return (a ?? "").localeCompare(b ?? "");
+}
+
+/**
+ * Pick the watch record to keep: a known date beats an unknown one, then the earliest wins
+ */
+function pickEarlierWatch(a, b) {
+  if (!a.watched) return b;
+  if (!b.watched) return a;
+  if (!a.watchedAt || !b.watchedAt) return a.watchedAt ? a : b;
+  if (a.watchedAt !== b.watchedAt) return a.watchedAt < b.watchedAt ? a : b;
+  return a.watchedAtEstimated ? b : a;
+}
+
+/**
+ * Combine two orderings: the winning one as is, then anything only the other
+ * knows about, placed after its predecessor there
+ */
+function mergeSequences(primary, secondary) {
+  const sequence = [...primary];
+  secondary.forEach((id, index) => {
+    if (sequence.includes(id)) return;
+    const previous = secondary
+      .slice(0, index)
+      .findLast((other) => sequence.includes(other));
+    sequence.splice(previous ? sequence.indexOf(previous) + 1 : 0, 0, id);
+  });
+  return sequence;
+}
+
+function mergeSyncedSeasons(local, remote) {
+  const numbers = [
+    ...new Set([...local, ...remote].map((season) => season.number)),
+  ].sort((a, b) => a - b);
+
+  return numbers.map((number) => {
+    const ours = local.find((season) => season.number === number);
+    const theirs = remote.find((season) => season.number === number);
+    const episodeCount = Math.max(
+      ours?.episodes.length ?? 0,
+      theirs?.episodes.length ?? 0,
+    );
+
+    return {
+      number,
+      episodes: Array.from({ length: episodeCount }, (_, index) => {
+        const episode = ours?.episodes[index] ?? {
+          id: generateId(),
+          number: index + 1,
+          watched: false,
+          watchedAt: null,
+        };
+        const other = theirs?.episodes[index];
+        if (!other) return episode;
+        const kept = pickEarlierWatch(episode, other);
+        return { ...episode, watched: kept.watched, watchedAt: kept.watchedAt };
+      }),
+    };
+  });
+}
+
+/**
+ * Pick the review to keep: the latest edit wins, equal times fall back to comparing the contents
+ * (including the history, so both devices make the same pick)
+ */
+function pickLaterReview(local, remote) {
+  const order = compareSyncTimes(remote.reviewUpdatedAt, local.reviewUpdatedAt);
+  return order > 0 ||
+    (order === 0 &&
+      JSON.stringify(getReviewFields(remote)) >
+        JSON.stringify(getReviewFields(local)))
+    ? remote
+    : local;
+}
+
+/**
+ * Watch record and review of one person, or of the whole item without members
+ */
+function mergeSyncedWatchState(local, remote) {
+  const watch = pickEarlierWatch(local, remote);
+  const review = pickLaterReview(local, remote);
+
+  return {
+    watched: watch.watched,
+    watchedAt: watch.watchedAt,
+    watchedAtEstimated: watch.watchedAtEstimated,
+    ...getReviewFields(review),
+    reviewHistory: mergeReviewHistories(local, remote, review),
+  };
+}
+
+/**
+ * Every episode either side has watched, keeping the earlier known date of each
+ */
+function mergeWatchedEpisodes(local, remote) {
+  const toWatch = (episodes, key) => ({
+    watched: Object.hasOwn(episodes, key),
+    watchedAt: episodes[key] ?? null,
+    watchedAtEstimated: false,
+  });
+  const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+  return Object.fromEntries(
+    [...keys].map((key) => [
+      key,
+      pickEarlierWatch(toWatch(local, key), toWatch(remote, key)).watchedAt,
+    ]),
+  );
+}
+
+function mergeSyncedItem(local, remote) {
+  const earliestAdded = [local.addedAt, remote.addedAt]
+    .filter(Boolean)
+    .sort()[0];
+  const memberIds = new Set([
+    ...Object.keys(local.memberStates),
+    ...Object.keys(remote.memberStates),
+  ]);
+
+  const merged = {
+    ...local,
+    ...mergeSyncedWatchState(local, remote),
+    year: local.year ?? remote.year ?? null,
+    runtime: local.runtime ?? remote.runtime ?? null,
+    addedAt: earliestAdded ?? null,
+    memberStates: Object.fromEntries(
+      [...memberIds].map((memberId) => {
+        const ours = getMemberState(local, memberId);
+        const theirs = getMemberState(remote, memberId);
+        return [
+          memberId,
+          {
+            ...mergeSyncedWatchState(ours, theirs),
+            watchedEpisodes: mergeWatchedEpisodes(
+              ours.watchedEpisodes,
+              theirs.watchedEpisodes,
+            ),
+          },
+        ];
+      }),
+    ),
+  };
+
+  if (local.type === "series" && remote.type === "series") {
+    merged.seasons = mergeSyncedSeasons(local.seasons, remote.seasons);
+    syncSeriesWatched(merged);
+  }
+
+  return merged;
+}
+
+/**
+ * Local copy of an item that so far only exists on the other device
+ */
+function createSyncedItem(remote) {
+  return {
+    ...remote,
+    id: generateId(),
+    ...(remote.type === "series" && {
+      seasons: remote.seasons.map((season) => ({
+        number: season.number,
+        episodes: season.episodes.map((episode) => ({
+          id: generateId(),
+          ...episode,
+        })),
+      })),
+    }),
+  };
+}
+
+/**
+ * Merge a paired device's state into the local watchlist, returning a new watchlist
+ * The local title and icon are kept, they may have been changed on import
+ */
+function mergeSyncedWatchlist(local, remote) {
+  const remoteItems = new Map(remote.items.map((item) => [item.shareId, item]));
+  const localShareIds = new Set(local.items.map((item) => item.shareId));
+
+  const items = [
+    ...local.items.map((item) =>
+      remoteItems.has(item.shareId)
+        ? mergeSyncedItem(item, remoteItems.get(item.shareId))
+        : item,
+    ),
+    ...remote.items
+      .filter((item) => !localShareIds.has(item.shareId))
+      .map(createSyncedItem),
+  ];
+
+  const localSequence = [...local.items]
+    .sort(MOVIE_SORTS.order)
+    .map((item) => item.shareId);
+  const remoteSequence = remote.items.map((item) => item.shareId);
+  const orderTime = compareSyncTimes(
+    remote.orderUpdatedAt,
+    local.orderUpdatedAt,
+  );
+  const remoteWins =
+    orderTime > 0 ||
+    (orderTime === 0 && remoteSequence.join() > localSequence.join());
+  const sequence = remoteWins
+    ? mergeSequences(remoteSequence, localSequence)
+    : mergeSequences(localSequence, remoteSequence);
+  const positions = new Map(sequence.map((shareId, index) => [shareId, index]));
+  items.forEach((item) => (item.order = positions.get(item.shareId)));
+
+  // members are only ever added, both devices end up with everyone in the same order
+  const localMembers = local.members.map((member) => member.id);
+  const remoteMembers = remote.members.map((member) => member.id);
+  const memberOrder =
+    remoteMembers.join() > localMembers.join()
+      ? mergeSequences(remoteMembers, localMembers)
+      : mergeSequences(localMembers, remoteMembers);
+  const members = memberOrder.map(
+    (id) =>
+      local.members.find((member) => member.id === id) ??
+      remote.members.find((member) => member.id === id),
+  );
+
+  const merged = {
+    ...local,
+    orderUpdatedAt: remoteWins ? remote.orderUpdatedAt : local.orderUpdatedAt,
+    members,
+    items,
+  };
+  items.forEach((item) => syncMemberWatched(merged, item));
+  return merged;
+}
+
+/**
+ * Connect a pairing with the transport chosen in settings
+ */
+function startSyncSession(pairing) {
+  const session = {
+    room: pairing.room,
+    watchlistId: pairing.watchlistId,
+    connection: null,
+    status: "offline",
+    lastSent: null,
+  };
+  syncSessions.set(pairing.room, session);
+
+  const settings = loadSettings();
+  if (!settings.syncRelayUrl) return session;
+
+  const createTransport =
+    SYNC_TRANSPORTS[settings.syncTransport] ?? createWebRTCTransport;
+
+  try {
+    session.connection = createTransport(settings.syncRelayUrl).connect(
+      pairing.room,
+      {
+        onStatus(status) {
+          session.status = status;
+          if (status === "connected") {
+            session.lastSent = null; // the other device may have missed earlier sends
+            sendSyncState(session);
+          }
+          updateSyncStatus();
+        },
+        onMessage(message) {
+          receiveSyncState(session, message);
+        },
+      },
+    );
+  } catch (error) {
+    console.error("Failed to start sync:", error);
+  }
+
+  return session;
+}
+
+function stopSyncSession(room) {
+  const session = syncSessions.get(room);
+  if (!session) return;
+
+  session.connection?.close();
+  syncSessions.delete(room);
+  saveSyncPairings();
+  updateSyncStatus();
+}
+
+/**
+ * Reconnect every session, e.g. after the relay settings change
+ */
+function restartSyncSessions() {
+  const pairings = [...syncSessions.values()];
+  pairings.forEach((session) => session.connection?.close());
+  syncSessions.clear();
+  pairings.forEach(startSyncSession);
+  updateSyncStatus();
+}
+
+/**
+ * Send the current state of a session's watchlist, unless it's what was sent last
+ */
+function sendSyncState(session) {
+  const watchlist =
+    session.watchlistId && getWatchlistById(session.watchlistId);
+  if (!watchlist || !session.connection) return;
+
+  const state = getSyncState(watchlist);
+  const text = JSON.stringify(state);
+  if (text === session.lastSent) return;
+
+  session.lastSent = text;
+  session.connection.send({ type: "state", watchlist: state });
+}
+
+/**
+ * Debounced from saveWatchlists so a burst of edits goes out as one message
+ */
+function queueSyncBroadcast() {
+  if (syncSessions.size === 0) return;
+
+  clearTimeout(syncBroadcastTimer);
+  syncBroadcastTimer = setTimeout(() => {
+    syncSessions.forEach((session) => {
+      if (session.status === "connected") sendSyncState(session);
+    });
+  }, SYNC_DEBOUNCE_MS);
+}
+
+/**
+ * Merge a state received from the paired device into the library
+ * The first state a joining device receives creates the watchlist
+ * Ignored while read-only, nothing could be saved and the alert was shown on startup
+ */
+function receiveSyncState(session, message) {
+  if (readOnlyReason) return;
+  if (message?.type !== "state" || !validateSyncState(message.watchlist)) {
+    return;
+  }
+
+  const remote = message.watchlist;
+  const watchlists = loadWatchlists();
+  const index = watchlists.findIndex((wl) =>
+    session.watchlistId
+      ? wl.id === session.watchlistId
+      : wl.shareId === remote.shareId,
+  );
+  const local = watchlists[index];
+  const merged = local
+    ? mergeSyncedWatchlist(local, remote)
+    : createSyncedWatchlist(remote);
+
+  if (local) watchlists[index] = merged;
+  else watchlists.push(merged);
+
+  if (session.watchlistId !== merged.id) {
+    session.watchlistId = merged.id;
+    saveSyncPairings();
+  }
+
+  const mergedState = JSON.stringify(getSyncState(merged));
+  if (!local || mergedState !== JSON.stringify(getSyncState(local))) {
+    saveWatchlists(watchlists);
+    renderApp();
+    // don't pull the list out from under a drag in progress
+    if (currentWatchlistId === merged.id && !dragState) {
+      renderMovies(merged.id);
+    }
+    cacheMissingPosters();
+  }
+
+  // tell the other device about anything it was missing
+  if (mergedState !== JSON.stringify(remote)) sendSyncState(session);
+  updateSyncStatus();
+}
+
+function createSyncedWatchlist(remote) {
+  return {
+    id: generateId(),
+    shareId: remote.shareId,
+    title: remote.title,
+    icon: remote.icon,
+    // like the title and icon, later changes stay on the device that made them
+    color: remote.color ?? null,
+    description: remote.description ?? "",
+    orderUpdatedAt: remote.orderUpdatedAt,
+    members: remote.members,
+    archivedAt: null,
+    items: remote.items.map(createSyncedItem),
+  };
+}
+
+function getSyncSession(watchlistId) {
+  return [...syncSessions.values()].find(
+    (session) => session.watchlistId === watchlistId,
+  );
+}
+
+// SERIES //
+
+/**
+ * Build numbered seasons of unwatched episodes from episode counts
+ * e.g. [10, 8] -> season 1 with 10 episodes, season 2 with 8
+ */
+function createSeasons(episodeCounts, firstSeasonNumber = 1) {
+  return episodeCounts.map((count, index) => ({
+    number: firstSeasonNumber + index,
+    episodes: Array.from({ length: count }, (_, episodeIndex) => ({
+      id: generateId(),
+      number: episodeIndex + 1,
+      watched: false,
+      watchedAt: null,
+    })),
+  }));
+}
+
+/**
+ * Parse "10, 10, 8" into episode counts, or null if any part isn't a valid count
+ */
+function parseEpisodeCounts(value) {
+  const parts = value.split(",").map((part) => part.trim());
+  const counts = parts.map(Number);
+  return parts[0] !== "" && isValidEpisodeCounts(counts) ? counts : null;
+}
+
+/**
+ * Check episode counts before building seasons from them
+ */
+function isValidEpisodeCounts(counts) {
+  return (
+    Array.isArray(counts) &&
+    counts.length > 0 &&
+    counts.every(
+      (count) =>
+        Number.isInteger(count) &&
+        count > 0 &&
+        count <= MAX_EPISODES_PER_SEASON,
+    )
+  );
+}
+
+/**
+ * Episode totals for a series plus the next unwatched episode in season order
+ */
+function getSeriesProgress(series) {
+  const episodes = series.seasons.flatMap((season) =>
+    season.episodes.map((episode) => ({ ...episode, season: season.number })),
+  );
+  return {
+    total: episodes.length,
+    watched: episodes.filter((episode) => episode.watched).length,
+    next: episodes.find((episode) => !episode.watched) ?? null,
+  };
+}
+
+function formatEpisodeLabel(episode) {
+  return `S${episode.season} E${episode.number}`;
+}
+
+/**
+ * Key for an episode in a member's watchedEpisodes, episode IDs differ between devices
+ */
+function getEpisodeKey(episode) {
+  return `S${episode.season}E${episode.number}`;
+}
+
+/**
+ * The watched episodes of a series as { [key]: watchedAt }, empty for a movie
+ */
+function getWatchedEpisodes(item) {
+  if (item.type !== "series") return {};
+
+  return Object.fromEntries(
+    item.seasons.flatMap((season) =>
+      season.episodes
+        .filter((episode) => episode.watched)
+        .map((episode) => [
+          getEpisodeKey({ ...episode, season: season.number }),
+          episode.watchedAt,
+        ]),
+    ),
+  );
+}
+
+/**
+ * Mark one episode watched and sync the series-level flag
+ * The series counts as watched once every episode is. Like every watched flag it's one way,
+ * a season added to a finished series shows up as new episodes instead of unmarking it
+ */
+function markEpisodeWatched(series, episodeId) {
+  const episode = series.seasons
+    .flatMap((season) => season.episodes)
+    .find((ep) => ep.id === episodeId);
+  if (!episode || episode.watched) return;
+
+  episode.watched = true;
+  episode.watchedAt = new Date().toISOString();
+  syncSeriesWatched(series);
+}
+
+function syncSeriesWatched(series) {
+  const { total, watched } = getSeriesProgress(series);
+  const complete = total > 0 && watched === total;
+
+  if (complete && !series.watched) {
+    series.watched = true;
+    series.watchedAt = new Date().toISOString();
+    series.watchedAtEstimated = false;
+  }
+}
+
+// MEMBERS //
+// optional named people per watchlist, each with their own watched marks, episodes and reviews
+// an item is recorded as watched once every member has watched it, and stays watched
+// when someone joins later, progress counts only what everyone has watched
+
+/**
+ * Check a member name before adding it to a watchlist
+ */
+function isValidMemberName(watchlist, name) {
+  return (
+    name.length > 0 &&
+    name.length <= MAX_MEMBER_NAME_LENGTH &&
+    !watchlist.members.some(
+      (member) => member.name.toLowerCase() === name.toLowerCase(),
+    )
+  );
+}
+
+function createMemberState() {
+  return {
+    watched: false,
+    watchedAt: null,
+    watchedAtEstimated: false,
+    watchedEpisodes: {},
+    ...createReview(),
+  };
+}
+
+function getMemberState(item, memberId) {
+  return item.memberStates[memberId] ?? createMemberState();
+}
+
+/**
+ * Check one member's state on an item, used for backups and sync
+ */
+function isValidMemberState(state) {
+  return (
+    state !== null &&
+    typeof state === "object" &&
+    typeof state.watched === "boolean" &&
+    (state.watchedAt === null || isValidDate(state.watchedAt)) &&
+    typeof state.watchedAtEstimated === "boolean" &&
+    state.watchedEpisodes !== null &&
+    typeof state.watchedEpisodes === "object" &&
+    Object.entries(state.watchedEpisodes).every(
+      ([key, watchedAt]) =>
+        /^S\d+E\d+$/.test(key) &&
+        (watchedAt === null || isValidDate(watchedAt)),
+    ) &&
+    isValidReviewFields(state)
+  );
+}
+
+/**
+ * Check the members of a watchlist and every item's per-member state
+ */
+function validateMembers(watchlist) {
+  if (!Array.isArray(watchlist.members)) return false;
+
+  const ids = watchlist.members.map((member) => member?.id);
+  return (
+    watchlist.members.length <= MAX_MEMBERS &&
+    watchlist.members.every(
+      (member) =>
+        typeof member.id === "string" &&
+        typeof member.name === "string" &&
+        member.name.trim().length > 0 &&
+        member.name.length <= MAX_MEMBER_NAME_LENGTH,
+    ) &&
+    new Set(ids).size === ids.length &&
+    watchlist.items.every(
+      (item) =>
+        item.memberStates !== null &&
+        typeof item.memberStates === "object" &&
+        Object.entries(item.memberStates).every(
+          ([memberId, state]) =>
+            ids.includes(memberId) && isValidMemberState(state),
+        ),
+    )
+  );
+}
+
+/**
+ * Add a member to a watchlist
+ * The first member takes over the marks, episodes and reviews recorded so far, since until
+ * now there was only one person tracking. Later members start with nothing watched, what
+ * the list already watched stays recorded. Members can't be renamed or removed later
+ */
+function addWatchlistMember(watchlist, name) {
+  const member = { id: generateShareId(), name };
+  const isFirst = watchlist.members.length === 0;
+  watchlist.members.push(member);
+
+  if (isFirst) {
+    watchlist.items.forEach((item) => {
+      item.memberStates[member.id] = {
+        watched: item.watched,
+        watchedAt: item.watchedAt,
+        watchedAtEstimated: item.watchedAtEstimated,
+        watchedEpisodes: getWatchedEpisodes(item),
+        ...getReviewFields(item),
+      };
+      Object.assign(item, createReview());
+    });
+  }
+
+  return member;
+}
+
+/**
+ * Whether an item counts as watched for progress: by everyone when the list has members
+ */
+function isWatchedByEveryone(members, item) {
+  if (members.length === 0) return item.watched;
+
+  return members.every((member) => getMemberState(item, member.id).watched);
+}
+
+function markMemberWatched(watchlist, item, memberId) {
+  const state = getMemberState(item, memberId);
+  if (state.watched) return;
+
+  item.memberStates[memberId] = {
+    ...state,
+    watched: true,
+    watchedAt: new Date().toISOString(),
+    watchedAtEstimated: false,
+  };
+  syncMemberWatched(watchlist, item);
+}
+
+/**
+ * Mark one episode watched for one member, the key comes from getEpisodeKey
+ */
+function markMemberEpisodeWatched(watchlist, series, memberId, key) {
+  const state = getMemberState(series, memberId);
+  if (Object.hasOwn(state.watchedEpisodes, key)) return;
+
+  series.memberStates[memberId] = {
+    ...state,
+    watchedEpisodes: {
+      ...state.watchedEpisodes,
+      [key]: new Date().toISOString(),
+    },
+  };
+  syncMemberWatched(watchlist, series);
+}
+
+/**
+ * A member's episode totals and next unwatched episode, like getSeriesProgress
+ */
+function getMemberSeriesProgress(series, memberId) {
+  const { watchedEpisodes } = getMemberState(series, memberId);
+  const episodes = series.seasons.flatMap((season) =>
+    season.episodes.map((episode) => ({ ...episode, season: season.number })),
+  );
+  const isWatched = (episode) =>
+    Object.hasOwn(watchedEpisodes, getEpisodeKey(episode));
+
+  return {
+    total: episodes.length,
+    watched: episodes.filter(isWatched).length,
+    next: episodes.find((episode) => !isWatched(episode)) ?? null,
+  };
+}
+
+/**
+ * Latest of some watch dates, null when any of them is unknown
+ */
+function getLastWatchedAt(dates) {
+  return dates.every(Boolean)
+    ? dates.reduce((latest, date) => (date > latest ? date : latest))
+    : null;
+}
+
+/**
+ * Record an item as watched once every member has watched it, dated by whoever watched
+ * last. Unknown dates keep the date unknown. For a series the same goes for each episode
+ * and for each member's own series mark. Never unmarks, a member joining later only
+ * changes progress (see isWatchedByEveryone)
+ */
+function syncMemberWatched(watchlist, item) {
+  if (watchlist.members.length === 0) return;
+
+  if (item.type === "series") {
+    syncMemberEpisodes(watchlist, item);
+    syncSeriesWatched(item);
+    return;
+  }
+
+  const states = watchlist.members.map((member) =>
+    getMemberState(item, member.id),
+  );
+  if (item.watched || !states.every((state) => state.watched)) return;
+
+  const last = states.every((state) => state.watchedAt)
+    ? states.reduce((latest, state) =>
+        state.watchedAt > latest.watchedAt ? state : latest,
+      )
+    : null;
+
+  item.watched = true;
+  item.watchedAt = last?.watchedAt ?? null;
+  item.watchedAtEstimated = last?.watchedAtEstimated ?? false;
+}
+
+function syncMemberEpisodes(watchlist, series) {
+  const episodes = series.seasons.flatMap((season) =>
+    season.episodes.map((episode) => ({
+      episode,
+      key: getEpisodeKey({ ...episode, season: season.number }),
+    })),
+  );
+
+  watchlist.members.forEach((member) => {
+    const state = series.memberStates[member.id];
+    if (!state || state.watched || episodes.length === 0) return;
+    if (!episodes.every(({ key }) => Object.hasOwn(state.watchedEpisodes, key)))
+      return;
+
+    state.watched = true;
+    state.watchedAt = getLastWatchedAt(Object.values(state.watchedEpisodes));
+    state.watchedAtEstimated = false;
+  });
+
+  episodes.forEach(({ episode, key }) => {
+    if (episode.watched) return;
+
+    const dates = watchlist.members.map(
+      (member) => getMemberState(series, member.id).watchedEpisodes[key],
+    );
+    if (dates.includes(undefined)) return;
+
+    episode.watched = true;
+    episode.watchedAt = getLastWatchedAt(dates);
+  });
+}
+
+/**
+ * Reviews to show on a card: one per member who wrote one, after the unattributed review
+ * (a paired device without members can still write one)
+ */
+function getItemReviews(members, item) {
+  const memberReviews = members.map((member) => ({
+    member,
+    ...getReviewFields(getMemberState(item, member.id)),
+  }));
+
+  return [{ member: null, ...getReviewFields(item) }, ...memberReviews].filter(
+    (entry) => hasReviewContent(entry) || entry.reviewHistory.length > 0,
+  );
+}
+
+function hasReview(item) {
+  return (
+    hasReviewContent(item) ||
+    Object.values(item.memberStates).some(hasReviewContent)
+  );
+}
+
+// REVIEWS //
+// a review is the text plus an optional rating and two flags, edited and synced together
+// saving over a review keeps the old one as a revision, nothing anyone thought is lost
+
+/**
+ * Empty review, for new items and members who haven't written one
+ */
+function createReview() {
+  return {
+    review: "",
+    reviewUpdatedAt: null,
+    rating: null,
+    rewatch: false,
+    spoilers: false,
+    reviewHistory: [],
+  };
+}
+
+/**
+ * Copy just the review fields of an item or member state
+ */
+function getReviewFields(source) {
+  return {
+    review: source.review,
+    reviewUpdatedAt: source.reviewUpdatedAt,
+    rating: source.rating,
+    rewatch: source.rewatch,
+    spoilers: source.spoilers,
+    reviewHistory: source.reviewHistory,
+  };
+}
+
+/**
+ * Snapshot of the current review, dated by when it was saved
+ * Reviews written before edit times were kept have no date
+ */
+function createRevision(source) {
+  return {
+    review: source.review,
+    rating: source.rating,
+    rewatch: source.rewatch,
+    spoilers: source.spoilers,
+    savedAt: source.reviewUpdatedAt,
+  };
+}
+
+function isValidRevision(revision) {
+  return (
+    revision !== null &&
+    typeof revision === "object" &&
+    typeof revision.review === "string" &&
+    isValidRating(revision.rating) &&
+    typeof revision.rewatch === "boolean" &&
+    typeof revision.spoilers === "boolean" &&
+    (revision.savedAt === null || isValidDate(revision.savedAt))
+  );
+}
+
+/**
+ * Save a new review over an item or member state, keeping the previous one as a revision
+ * Saving without changing anything adds no revision
+ */
+function updateReview(target, { review, rating, rewatch, spoilers }) {
+  const unchanged =
+    target.review === review &&
+    target.rating === rating &&
+    target.rewatch === rewatch &&
+    target.spoilers === spoilers;
+
+  if (hasReviewContent(target) && !unchanged) {
+    target.reviewHistory = [...target.reviewHistory, createRevision(target)];
+  }
+
+  Object.assign(target, {
+    review,
+    rating,
+    rewatch,
+    spoilers,
+    reviewUpdatedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Combine the revisions two devices know about, oldest first
+ * When both edited the same review the losing version becomes a revision as well
+ */
+function mergeReviewHistories(local, remote, kept) {
+  const lost = kept === local ? remote : local;
+  const revisions = [...local.reviewHistory, ...remote.reviewHistory];
+  if (
+    hasReviewContent(lost) &&
+    JSON.stringify(createRevision(lost)) !==
+      JSON.stringify(createRevision(kept))
+  ) {
+    revisions.push(createRevision(lost));
+  }
+
+  const unique = new Map(
+    revisions.map((revision) => [JSON.stringify(revision), revision]),
+  );
+  return [...unique.entries()]
+    .sort(
+      ([keyA, a], [keyB, b]) =>
+        compareSyncTimes(a.savedAt, b.savedAt) || keyA.localeCompare(keyB),
+    )
+    .map(([, revision]) => revision);
+}
+
+/**
+ * Half-star steps from 0.5 to 5, or null for no rating
+ */
+function isValidRating(rating) {
+  return (
+    rating === null ||
+    (typeof rating === "number" &&
+      rating >= 0.5 &&
+      rating <= MAX_RATING &&
+      Number.isInteger(rating * 2))
+  );
+}
+
+function isValidReviewFields(source) {
+  return (
+    typeof source.review === "string" &&
+    (source.reviewUpdatedAt === null || isValidDate(source.reviewUpdatedAt)) &&
+    isValidRating(source.rating) &&
+    typeof source.rewatch === "boolean" &&
+    typeof source.spoilers === "boolean" &&
+    Array.isArray(source.reviewHistory) &&
+    source.reviewHistory.every(isValidRevision)
+  );
+}
+
+/**
+ * Anything worth showing on a card: some text, a rating or the rewatch flag
+ */
+function hasReviewContent(source) {
+  return Boolean(source.review) || source.rating !== null || source.rewatch;
+}
+
+/**
+ * Average rating of one item across its members, or null if nobody rated it
+ */
+function getItemRating(item) {
+  const ratings = [item, ...Object.values(item.memberStates)]
+    .map((source) => source.rating)
+    .filter((rating) => rating !== null);
+
+  return ratings.length > 0
+    ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length
+    : null;
+}
+
+/**
+ * Average of the rated items in a watchlist, or null if none are rated
+ */
+function getWatchlistRating(watchlist) {
+  const ratings = watchlist.items
+    .map(getItemRating)
+    .filter((rating) => rating !== null);
+
+  return ratings.length > 0
+    ? {
+        average:
+          ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length,
+        count: ratings.length,
+      }
+    : null;
+}
+
+/**
+ * e.g. 4 -> "4", 3.5 -> "3.5", 4.25 -> "4.3"
+ */
+function formatRating(rating) {
+  return String(Math.round(rating * 10) / 10);
+}
+
+// ARCHIVE //
+
+// Archiving only moves a list under "Archived" on the home screen, nothing in it
+// changes and it stays searchable, so it fits the no-delete promise
+
+function isWatchlistFinished(watchlist) {
+  const { watched, total } = getWatchlistProgress(watchlist);
+  return total > 0 && watched === total;
+}
+
+/**
+ * Archive or unarchive a watchlist after confirming, resolves to whether it changed
+ */
+async function setWatchlistArchived(watchlistId, archived) {
+  const watchlists = loadWatchlists();
+  const watchlist = watchlists.find((wl) => wl.id === watchlistId);
+  if (!watchlist || Boolean(watchlist.archivedAt) === archived) return false;
+
+  const confirmed = await showConfirmation(
+    archived ? "Archive watchlist" : "Unarchive watchlist",
+    archived
+      ? `Move "${watchlist.title}" to Archived? Nothing in it changes, it stays searchable and can be unarchived anytime.`
+      : `Move "${watchlist.title}" back to your watchlists?`,
+  );
+
+  if (!confirmed) return false;
+
+  watchlist.archivedAt = archived ? new Date().toISOString() : null;
+  saveWatchlists(watchlists);
+  return true;
+}
+
+/**
+ * With auto-archive on, archive a list once its last item is marked watched
+ * Only called right after marking something, so a finished list unarchived by hand stays put
+ */
+function autoArchiveIfFinished(watchlist) {
+  if (
+    !loadSettings().autoArchive ||
+    watchlist.archivedAt ||
+    !isWatchlistFinished(watchlist)
+  ) {
+    return;
+  }
+
+  watchlist.archivedAt = new Date().toISOString();
+  announce(`Everything in "${watchlist.title}" is watched, moved to Archived.`);
+}
+
+// CUSTOMIZATION //
+
+// Icon, color and description only change how a list looks, they can be edited
+// anytime while the title stays as it was created
+
+/**
+ * Any short string, emoji made of several code points included
+ */
+function isValidIcon(icon) {
+  return typeof icon === "string" && icon.trim() !== "" && icon.length <= 16;
+}
+
+function isValidColor(color) {
+  return (
+    color === null ||
+    (typeof color === "string" && /^#[0-9a-f]{6}$/i.test(color))
+  );
+}
+
+function isValidDescription(description) {
+  return (
+    typeof description === "string" &&
+    description.length <= MAX_DESCRIPTION_LENGTH
+  );
+}
+
+/**
+ * Read the icon, color and description fields of the create or customize form
+ */
+function readPresentationFields(form) {
+  return {
+    icon: form.elements["watchlist-icon"].value,
+    color: form.elements["watchlist-color"].value || null,
+    description: form.elements["watchlist-description"].value.trim(),
+  };
+}
+
+function isValidPresentation({ icon, color, description }) {
+  return (
+    isValidIcon(icon) && isValidColor(color) && isValidDescription(description)
+  );
+}
+
+// TEMPLATES //
+
+// A template is a watchlist with its progress taken out, kept to start new lists from
+// Every list made from one gets new share IDs, so it never merges or syncs with the source
+
+/**
+ * Saved templates, upgraded to the current schema like the library
+ * Templates that can't be read or don't check out are set aside, so saving the rest
+ * can't delete them. Templates from a newer release go read-only instead
+ */
+function loadTemplates() {
+  let raw;
+  try {
+    raw = localStorage.getItem(TEMPLATES_KEY);
+  } catch {
+    console.warn("Failed to load templates from localStorage");
+    return [];
+  }
+  if (raw === null) return [];
+
+  let data = null;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    // set aside below, like any other unreadable value
+  }
+  if (
+    typeof data?.schemaVersion !== "number" ||
+    !Array.isArray(data.templates)
+  ) {
+    setAsideTemplates([{ reason: "Unreadable templates", data: raw }], []);
+    return [];
+  }
+
+  if (data.schemaVersion > SCHEMA_VERSION) {
+    templatesReadOnlyReason =
+      "Your templates were saved by a newer version of Watchlist+. Reload to update the app, templates can't be changed until then.";
+    return data.templates.filter(isValidTemplate);
+  }
+
+  const templates = [];
+  const failed = [];
+
+  data.templates.forEach((template) => {
+    try {
+      const migrated = migrateWatchlist(template, data.schemaVersion);
+      if (isValidTemplate(migrated)) {
+        templates.push(migrated);
+      } else {
+        failed.push({
+          reason: "Invalid template",
+          fromVersion: data.schemaVersion,
+          data: template,
+        });
+      }
+    } catch (error) {
+      failed.push({
+        reason: error.message,
+        fromVersion: data.schemaVersion,
+        data: template,
+      });
+    }
+  });
+
+  if (failed.length > 0) setAsideTemplates(failed, templates);
+  return templates;
+}
+
+/**
+ * Quarantine templates that couldn't be loaded, then store the rest without them
+ * If the quarantine can't be written, templates go read-only so nothing is dropped
+ */
+function setAsideTemplates(failed, templates) {
+  try {
+    quarantineData(failed);
+  } catch (error) {
+    console.error("Failed to quarantine templates:", error);
+    templatesReadOnlyReason =
+      "Some saved templates couldn't be read or set aside, so templates aren't saved to keep them safe. Free up storage space and reload.";
+    return;
+  }
+
+  console.warn(`Quarantined ${failed.length} template(s)`);
+  saveTemplates(templates);
+  alert(
+    "Some saved templates couldn't be read. They have been set aside rather than deleted.",
+  );
+}
+
+/**
+ * Store the templates, returns whether they were saved
+ * Refused while read-only, like saveWatchlists
+ */
+function saveTemplates(templates) {
+  if (templatesReadOnlyReason) {
+    alert(templatesReadOnlyReason);
+    return false;
+  }
+
+  try {
+    localStorage.setItem(
+      TEMPLATES_KEY,
+      JSON.stringify({ schemaVersion: SCHEMA_VERSION, templates }),
+    );
+    return true;
+  } catch (error) {
+    console.error("Failed to save templates:", error);
+    alert("Templates couldn't be saved. Free up storage space and try again.");
+    return false;
+  }
+}
+
+function isValidTemplate(template) {
+  return (
+    validateImportedWatchlist(template) &&
+    typeof template.id === "string" &&
+    isValidColor(template.color) &&
+    isValidDescription(template.description) &&
+    isValidDate(template.savedAt)
+  );
+}
+
+/**
+ * Snapshot of a watchlist without watched marks, reviews or members
+ */
+function createTemplate(watchlist) {
+  const { id, title, icon, color, description, items } =
+    createShareableWatchlist(watchlist, { fresh: true });
+  return {
+    id,
+    title,
+    icon,
+    color,
+    description,
+    savedAt: new Date().toISOString(),
+    items,
+  };
+}
+
+/**
+ * New watchlist with the template's items, under the title and look picked in the create dialog
+ */
+function createWatchlistFromTemplate(template, title, presentation) {
+  return {
+    ...createShareableWatchlist(template, { fresh: true }),
+    title,
+    ...presentation,
+  };
+}
+
+/**
+ * Fetch the curated templates bundled with the app, once per session
+ * Resolves to an empty list while offline before the service worker has cached them
+ */
+async function loadCuratedTemplates() {
+  if (curatedTemplates) return curatedTemplates;
+
+  try {
+    const response = await fetch(CURATED_TEMPLATES_URL);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+    curatedTemplates = data.templates
+      .filter(isValidCuratedTemplate)
+      .map(createCuratedTemplate);
+  } catch (error) {
+    console.warn("Failed to load curated templates:", error);
+  }
+
+  return curatedTemplates ?? [];
+}
+
+/**
+ * Curated templates are written by hand, so items only list what they need:
+ * { type?, title, year?, runtime?, posterUrl?, episodeCounts? (series only) }
+ */
+function isValidCuratedTemplate(template) {
+  return (
+    template &&
+    typeof template.id === "string" &&
+    typeof template.title === "string" &&
+    template.title.trim() &&
+    isValidIcon(template.icon) &&
+    isValidColor(template.color ?? null) &&
+    isValidDescription(template.description ?? "") &&
+    Array.isArray(template.items) &&
+    template.items.length > 0 &&
+    template.items.every(
+      (item) =>
+        item &&
+        typeof item.title === "string" &&
+        item.title.trim() &&
+        (item.posterUrl === undefined || validatePosterUrl(item.posterUrl)) &&
+        isValidYear(item.year ?? null) &&
+        isValidRuntime(item.runtime ?? null) &&
+        (item.type === undefined ||
+          item.type === "movie" ||
+          (item.type === "series" && isValidEpisodeCounts(item.episodeCounts))),
+    )
+  );
+}
+
+function createCuratedTemplate(template) {
+  return {
+    id: `curated:${template.id}`, // never clashes with the generated IDs of saved templates
+    title: template.title,
+    icon: template.icon,
+    color: template.color ?? null,
+    description: template.description ?? "",
+    savedAt: null,
+    items: template.items.map((item, index) =>
+      createMovie({ ...item, posterUrl: item.posterUrl ?? "" }, index),
+    ),
+  };
+}
+
+function findTemplate(templateId) {
+  return [...loadTemplates(), ...(curatedTemplates ?? [])].find(
+    (template) => template.id === templateId,
+  );
+}
+
+async function saveWatchlistAsTemplate(watchlistId) {
+  const watchlist = getWatchlistById(watchlistId);
+  if (!watchlist) return;
+
+  const confirmed = await showConfirmation(
+    "Save as template",
+    `Save "${watchlist.title}" as a template? New watchlists can start from its ${watchlist.items.length} items, with nothing watched.`,
+  );
+
+  if (!confirmed) return;
+
+  if (!saveTemplates([...loadTemplates(), createTemplate(watchlist)])) return;
+  alert(
+    `"${watchlist.title}" saved as a template!\n\nPick it under "Start from" when creating a watchlist.`,
+  );
+}
+
+async function deleteTemplate(templateId) {
+  const templates = loadTemplates();
+  const template = templates.find((entry) => entry.id === templateId);
+  if (!template) return;
+
+  const confirmed = await showConfirmation(
+    "Delete template",
+    `Delete the template "${template.title}"? Watchlists created from it stay as they are.`,
+  );
+
+  if (!confirmed) return;
+
+  if (!saveTemplates(templates.filter((entry) => entry.id !== templateId))) {
+    return;
+  }
+  renderTemplateList();
+}
+
+/**
+ * "Title (2)", "Title (3)" and so on, whichever isn't taken yet
+ */
+function getCopyTitle(title, watchlists) {
+  const titles = new Set(watchlists.map((wl) => wl.title));
+  let number = 2;
+  while (titles.has(`${title} (${number})`)) number++;
+  return `${title} (${number})`;
+}
+
+/**
+ * Add a fresh copy of a watchlist after confirming, resolves to the copy or null
+ * Same items in the same order, with everything unwatched and no members
+ */
+async function duplicateWatchlist(watchlistId) {
+  const watchlists = loadWatchlists();
+  const watchlist = watchlists.find((wl) => wl.id === watchlistId);
+  if (!watchlist) return null;
+
+  const confirmed = await showConfirmation(
+    "Duplicate as fresh list",
+    `Create a copy of "${watchlist.title}" with nothing watched? The original stays as it is.`,
+  );
+
+  if (!confirmed) return null;
+
+  const copy = {
+    ...createShareableWatchlist(watchlist, { fresh: true }),
+    title: getCopyTitle(watchlist.title, watchlists),
+  };
+  watchlists.push(copy);
+  saveWatchlists(watchlists);
+  return copy;
+}
+
+// REORDERING //
+
+/**
+ * Persist a new item order for a watchlist
+ * order is rewritten as 0..n-1 following orderedIds, titles and posters stay untouched
+ */
+function reorderMovies(watchlistId, orderedIds) {
+  const watchlists = loadWatchlists();
+  const watchlist = watchlists.find((wl) => wl.id === watchlistId);
+  if (!watchlist) return;
+
+  const positions = new Map(orderedIds.map((id, index) => [id, index]));
+  watchlist.items.forEach((item) => {
+    item.order = positions.get(item.id) ?? item.order;
+  });
+  watchlist.orderUpdatedAt = new Date().toISOString();
+
+  saveWatchlists(watchlists);
+}
+
+/**
+ * Move one movie by an offset (e.g. -1 for up) and announce the result
+ * Focus is put back on the same control after the list re-renders
+ */
+function moveMovie(movieId, offset, focusAction) {
+  const watchlist = getWatchlistById(currentWatchlistId);
+  if (!watchlist) return;
+
+  const ordered = watchlist.items
+    .sort(MOVIE_SORTS.order)
+    .map((item) => item.id);
+  const from = ordered.indexOf(movieId);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= ordered.length) return;
+
+  ordered.splice(to, 0, ...ordered.splice(from, 1));
+  reorderMovies(currentWatchlistId, ordered);
+  renderMovies(currentWatchlistId);
+
+  const movie = watchlist.items.find((item) => item.id === movieId);
+  announce(`${movie.title} moved to position ${to + 1} of ${ordered.length}`);
+
+  // the up/down button disables itself at either end, fall back to the handle
+  const focusTarget = detailContent.querySelector(
+    `[data-action="${focusAction}"][data-movie-id="${movieId}"]:not(:disabled)`,
+  );
+  (
+    focusTarget ??
+    detailContent.querySelector(
+      `[data-action="drag-handle"][data-movie-id="${movieId}"]`,
+    )
+  )?.focus();
+}
+
+/**
+ * Read changes out to screen readers through the detail dialog's live region
+ */
+function announce(message) {
+  detailAnnouncer.textContent = message;
+}
+
+/**
+ * Follow the pointer while dragging, moving the card between its siblings
+ * Scrolls the list when the pointer nears its top or bottom edge
+ */
+function updateDrag(clientY) {
+  const siblings = [
+    ...detailContent.querySelectorAll(".movie-card:not(.movie-card--dragging)"),
+  ];
+  const next = siblings.find((card) => {
+    const rect = card.getBoundingClientRect();
+    return clientY < rect.top + rect.height / 2;
+  });
+  detailContent.insertBefore(dragState.card, next ?? null);
+
+  const bounds = detailContent.getBoundingClientRect();
+  const edge = 48;
+  if (clientY < bounds.top + edge) detailContent.scrollBy(0, -12);
+  if (clientY > bounds.bottom - edge) detailContent.scrollBy(0, 12);
+}
+
+function endDrag() {
+  if (!dragState) return;
+
+  const { card, startIds } = dragState;
+  card.classList.remove("movie-card--dragging");
+  dragState = null;
+
+  const ids = [...detailContent.querySelectorAll(".movie-card")].map(
+    (el) => el.dataset.movieId,
+  );
+  if (ids.join() === startIds.join()) return;
+
+  const movieId = card.dataset.movieId;
+  reorderMovies(currentWatchlistId, ids);
+  renderMovies(currentWatchlistId);
+
+  const title = getWatchlistById(currentWatchlistId)?.items.find(
+    (item) => item.id === movieId,
+  )?.title;
+  announce(
+    `${title} moved to position ${ids.indexOf(movieId) + 1} of ${ids.length}`,
+  );
+}
+
+/**
+ * Drop a drag the browser or system interrupted, cards go back to their stored order
+ */
+function cancelDrag() {
+  if (!dragState) return;
+
+  dragState.card.classList.remove("movie-card--dragging");
+  dragState = null;
+  renderMovies(currentWatchlistId); // nothing was saved, so this restores startIds
+}
+
+// LIBRARY SEARCH //
+
+/**
+ * Lowercase and strip accents so "Amélie" matches "amelie"
+ */
+function normalizeSearchText(str) {
+  return str
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/\p{Diacritic}/gu, "");
+}
+
+/**
+ * Looser normalization for duplicate detection, ignores punctuation and spacing
+ * so "Spider-Man: Homecoming" and "spider man homecoming" count as the same title
+ */
+function normalizeTitle(title) {
+  return normalizeSearchText(title)
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * One flat entry per item across every watchlist
+ * Shared by the main screen search and the duplicate check when adding movies
+ */
+function getSearchIndex() {
+  if (!searchIndex) {
+    searchIndex = libraryCache.flatMap((wl) =>
+      wl.items.map((item) => {
+        // every member's review is searchable
+        const review = getItemReviews(wl.members, item)
+          .map((entry) => entry.review)
+          .join("\n");
+
+        return {
+          watchlistId: wl.id,
+          watchlistTitle: wl.title,
+          watchlistIcon: wl.icon,
+          watchlistArchived: Boolean(wl.archivedAt),
+          movieId: item.id,
+          title: item.title,
+          review,
+          watched: item.watched,
+          searchTitle: normalizeSearchText(item.title),
+          searchReview: normalizeSearchText(review),
+          titleKey: normalizeTitle(item.title),
+        };
+      }),
+    );
+  }
+  return searchIndex;
+}
+
+/**
+ * Find items whose title or review contains the query, title matches first
+ */
+function searchLibrary(query) {
+  const normalizedQuery = normalizeSearchText(query.trim());
+  if (!normalizedQuery) return [];
+
+  const entries = getSearchIndex();
+  const titleMatches = entries.filter((entry) =>
+    entry.searchTitle.includes(normalizedQuery),
+  );
+  const reviewMatches = entries.filter(
+    (entry) =>
+      !entry.searchTitle.includes(normalizedQuery) &&
+      entry.searchReview.includes(normalizedQuery),
+  );
+
+  return [...titleMatches, ...reviewMatches];
+}
+
+/**
+ * Find items anywhere in the library with the same title
+ */
+function findDuplicateTitles(title) {
+  const key = normalizeTitle(title);
+  if (!key) return [];
+  return getSearchIndex().filter((entry) => entry.titleKey === key);
+}
+
+/**
+ * Locate query in text the way searchLibrary matches it, ignoring case and accents
+ * Resolves to { start, end } offsets in the original text, or null
+ */
+function findMatchRange(text, query) {
+  const normalizedQuery = normalizeSearchText(query.trim());
+  if (!normalizedQuery) return null;
+
+  // normalize one character at a time, remembering where each normalized unit came from
+  let normalized = "";
+  const sources = [];
+  let offset = 0;
+  for (const char of text) {
+    const part = normalizeSearchText(char);
+    if (part === "" && sources.length > 0) {
+      // a combining accent belongs to the letter before it
+      sources.at(-1).end = offset + char.length;
+    }
+    const source = { start: offset, end: offset + char.length };
+    for (let i = 0; i < part.length; i++) sources.push(source);
+    normalized += part;
+    offset += char.length;
+  }
+
+  const index = normalized.indexOf(normalizedQuery);
+  if (index === -1) return null;
+  return {
+    start: sources[index].start,
+    end: sources[index + normalizedQuery.length - 1].end,
+  };
+}
+
+/**
+ * Escape text and wrap the first match of query in <mark>
+ */
+function highlightMatch(text, query) {
+  const range = findMatchRange(text, query);
+  if (!range) return escapeHTML(text);
+
+  const { start, end } = range;
+  return `${escapeHTML(text.slice(0, start))}<mark>${escapeHTML(text.slice(start, end))}</mark>${escapeHTML(text.slice(end))}`;
+}
+
+/**
+ * Cut a review down to the part around the match
+ */
+function getReviewSnippet(review, query) {
+  const index = findMatchRange(review, query)?.start ?? 0;
+  const start = Math.max(0, index - 40);
+  const end = Math.min(review.length, index + 80);
+  return `${start > 0 ? "…" : ""}${review.slice(start, end)}${end < review.length ? "…" : ""}`;
+}
+
+// BULK ADD //
+
+// Pasted lists are added as movies, one title per line or CSV rows of title,posterUrl[,year]
+// A row only counts as CSV when its second field is empty or looks like a URL,
+// so titles with commas such as "Crouching Tiger, Hidden Dragon" stay whole
+
+/**
+ * Turn pasted text into { title, posterUrl, year } rows, all still unchecked strings
+ */
+function parseBulkList(text) {
+  const rows = parseCsv(text).filter((fields) =>
+    fields.some((field) => field.trim()),
+  );
+
+  // skip a header row exported by a spreadsheet
+  if (rows[0]?.length > 1 && rows[0][0].trim().toLowerCase() === "title") {
+    rows.shift();
+  }
+
+  return rows.map((fields) => {
+    const isCsv =
+      fields.length > 1 &&
+      fields.length <= 3 &&
+      (!fields[1].trim() || /^[a-z][a-z\d+.-]*:/i.test(fields[1].trim()));
+
+    if (!isCsv)
+      return { title: fields.join(",").trim(), posterUrl: "", year: "" };
+
+    const [title, posterUrl, year = ""] = fields.map((field) => field.trim());
+    return { title, posterUrl, year };
+  });
+}
+
+/**
+ * Decide what happens to each row: problem rows and titles already in the watchlist
+ * are skipped, titles in other watchlists are only noted like when adding one at a time
+ */
+function checkBulkRows(rows, watchlist) {
+  const inWatchlist = new Set(
+    watchlist.items.map((item) => normalizeTitle(item.title)),
+  );
+  const pasted = new Set();
+
+  return rows.map((row) => {
+    const titleKey = normalizeTitle(row.title);
+    const otherLists = [
+      ...new Set(
+        findDuplicateTitles(row.title)
+          .filter((entry) => entry.watchlistId !== watchlist.id)
+          .map((entry) => `"${entry.watchlistTitle}"`),
+      ),
+    ];
+
+    let problem = null;
+    if (!titleKey) problem = "Missing title";
+    else if (row.posterUrl && !validatePosterUrl(row.posterUrl))
+      problem = "Invalid poster URL";
+    else if (row.year && !isValidYear(Number(row.year)))
+      problem = "Invalid year";
+    else if (inWatchlist.has(titleKey)) problem = "Already in this watchlist";
+    else if (pasted.has(titleKey)) problem = "Listed twice";
+
+    pasted.add(titleKey);
+
+    return {
+      ...row,
+      isValid: !problem,
+      note:
+        problem ??
+        (otherLists.length > 0 ? `Also in ${otherLists.join(", ")}` : ""),
+    };
+  });
+}
+
+/**
+ * Add the checked rows to the end of the watchlist in the order they were pasted
+ * Returns how many were added
+ */
+function addBulkRows(watchlistId, rows) {
+  const watchlists = loadWatchlists();
+  const watchlist = watchlists.find((wl) => wl.id === watchlistId);
+  if (!watchlist) return 0;
+
+  const movies = rows
+    .filter((row) => row.isValid)
+    .map(({ title, posterUrl, year }, index) =>
+      createMovie(
+        { title, posterUrl, year: year ? Number(year) : null },
+        watchlist.items.length + index,
+      ),
+    );
+
+  watchlist.items.push(...movies);
+  saveWatchlists(watchlists);
+  return movies.length;
+}
+
+// RENDERING FUNCTIONS //
+
+function renderApp() {
+  const watchlists = getLibrary();
+  const hasWatchlists = watchlists.length > 0;
+
+  // toggle empty state UI based on whether we have any watchlists
+  body.classList.toggle("states-empty", !hasWatchlists);
+  mainContent.classList.toggle("container--empty", !hasWatchlists);
+  emptyState.classList.toggle("hide", hasWatchlists);
+  librarySearch.classList.toggle("hide", !hasWatchlists);
+  contentGrid.classList.toggle("hide", !hasWatchlists);
+
+  if (hasWatchlists) {
+    renderWatchlistCards(watchlists);
+    renderSearchResults();
+  }
+}
+
+/**
+ * Show library search results in place of the watchlist grid while searching
+ */
+function renderSearchResults() {
+  const query = inputLibrarySearch.value;
+  const isSearching = query.trim() !== "";
+
+  searchResults.classList.toggle("hide", !isSearching);
+  contentGrid.classList.toggle("hide", isSearching);
+  if (!isSearching) {
+    searchResults.innerHTML = "";
+    return;
+  }
+
+  const results = searchLibrary(query);
+  const summary = `${results.length} match${results.length === 1 ? "" : "es"}`;
+
+  searchResults.innerHTML = `
+    <p class="search-results__summary">${summary}</p>
+    ${results
+      .map(
+        (result) => `
+    <button
+      type="button"
+      class="search-result card-base"
+      data-watchlist-id="${result.watchlistId}"
+      data-movie-id="${result.movieId}">
+      <span class="search-result__top">
+        <span class="search-result__title">${highlightMatch(result.title, query)}</span>
+        <span class="badge badge--${result.watched ? "watched" : "unwatched"}">
+          ${result.watched ? "Watched" : "Unwatched"}
+        </span>
+      </span>
+      <span class="search-result__list">
+        in ${escapeHTML(result.watchlistIcon)} ${escapeHTML(result.watchlistTitle)}${result.watchlistArchived ? " (archived)" : ""}
+      </span>
+      ${
+        result.searchReview.includes(normalizeSearchText(query.trim()))
+          ? `<span class="search-result__review">${highlightMatch(getReviewSnippet(result.review, query), query)}</span>`
+          : ""
+      }
+    </button>`,
+      )
+      .join("")}
+  `;
+}
+
+/**
+ * Warn while typing a title that already exists somewhere in the library
+ */
+function updateDuplicateWarning() {
+  const duplicates = findDuplicateTitles(inputMovieTitle.value);
+  const listNames = [
+    ...new Set(
+      duplicates.map((entry) =>
+        entry.watchlistId === currentWatchlistId
+          ? "this watchlist"
+          : `"${entry.watchlistTitle}"`,
+      ),
+    ),
+  ];
+
+  movieDuplicateWarning.classList.toggle("hide", duplicates.length === 0);
+  movieDuplicateWarning.textContent =
+    duplicates.length > 0 ? `Already in ${listNames.join(", ")}.` : "";
+}
+
+/**
+ * Check the pasted list against the open watchlist as it's typed
+ * Returns the checked rows so submitting uses exactly what the preview showed
+ */
+function renderBulkPreview() {
+  const watchlist = getWatchlistById(currentWatchlistId);
+  const rows = watchlist
+    ? checkBulkRows(parseBulkList(textareaBulkAdd.value), watchlist)
+    : [];
+  const addCount = rows.filter((row) => row.isValid).length;
+
+  bulkPreview.classList.toggle("hide", rows.length === 0);
+  bulkPreview.innerHTML = rows.length > 0 ? buildBulkPreviewHTML(rows) : "";
+  btnBulkAddSubmit.disabled = addCount === 0;
+  btnBulkAddSubmit.textContent = addCount > 0 ? `Add ${addCount}` : "Add";
+  return rows;
+}
+
+/**
+ * Active watchlists first, archived ones folded away in their own section
+ */
+function renderWatchlistCards(watchlists) {
+  const active = watchlists.filter((wl) => !wl.archivedAt);
+  const archived = watchlists.filter((wl) => wl.archivedAt);
+
+  contentGrid.innerHTML = `
+    ${active.map(buildWatchlistCardHTML).join("")}
+    ${
+      archived.length > 0
+        ? `<details class="archived-section" ${isArchiveOpen ? "open" : ""}>
+            <summary class="archived-section__summary">Archived (${archived.length})</summary>
+            ${archived.map(buildWatchlistCardHTML).join("")}
+          </details>`
+        : ""
+    }`;
+}
+
+/**
+ * Icon, color and description fields shared by the create and customize dialogs
+ * A custom icon from an older or shared list stays selectable next to the presets
+ */
+function buildPresentationFieldsHTML(idPrefix, { icon, color, description }) {
+  const icons = WATCHLIST_ICONS.includes(icon)
+    ? WATCHLIST_ICONS
+    : [icon, ...WATCHLIST_ICONS];
+  const colors = [{ name: "Default", value: "" }, ...WATCHLIST_COLORS];
+
+  return `
+    <fieldset class="form__fieldset">
+      <legend class="form__label">Icon</legend>
+      <div class="chip-group icon-picker">
+        ${icons
+          .map(
+            (option) => `
+        <label class="chip chip--radio icon-picker__option">
+          <input type="radio" name="watchlist-icon" value="${escapeHTML(option)}" ${option === icon ? "checked" : ""} />
+          ${escapeHTML(option)}
+        </label>`,
+          )
+          .join("")}
+      </div>
+    </fieldset>
+    <fieldset class="form__fieldset">
+      <legend class="form__label">Color</legend>
+      <div class="chip-group">
+        ${colors
+          .map(
+            ({ name, value }) => `
+        <label class="chip chip--radio color-swatch${value ? "" : " color-swatch--default"}" ${value ? `style="--swatch: ${value}"` : ""}>
+          <input type="radio" name="watchlist-color" value="${value}" aria-label="${name}" ${value === (color ?? "") ? "checked" : ""} />
+        </label>`,
+          )
+          .join("")}
+      </div>
+    </fieldset>
+    <label class="form__label" for="${idPrefix}-description">Description (optional)</label>
+    <textarea
+      name="watchlist-description"
+      id="${idPrefix}-description"
+      class="form__input form__textarea form__textarea--short"
+      maxlength="${MAX_DESCRIPTION_LENGTH}"
+      rows="2"
+      placeholder="What's this list for?">${escapeHTML(description)}</textarea>`;
+}
+
+/**
+ * Options for the create dialog's "Start from" picker, saved templates before curated ones
+ */
+function buildTemplateOptionsHTML(templates, curated) {
+  const buildOptions = (list) =>
+    list
+      .map(
+        (template) =>
+          `<option value="${escapeHTML(template.id)}">${escapeHTML(template.icon)} ${escapeHTML(template.title)} (${template.items.length})</option>`,
+      )
+      .join("");
+
+  return `
+    <option value="">Empty watchlist</option>
+    ${templates.length > 0 ? `<optgroup label="My templates">${buildOptions(templates)}</optgroup>` : ""}
+    ${curated.length > 0 ? `<optgroup label="Curated">${buildOptions(curated)}</optgroup>` : ""}
+  `;
+}
+
+/**
+ * Build a progress bar, shared by watchlist cards and the stats dialog
+ */
+function buildProgressHTML({ watched, total, percent }, label) {
+  return `
+    <div
+      class="progress"
+      role="progressbar"
+      aria-label="${escapeHTML(label)}"
+      aria-valuemin="0"
+      aria-valuemax="${total}"
+      aria-valuenow="${watched}">
+      <span class="progress__bar" style="width: ${percent}%"></span>
+    </div>`;
+}
+
+function buildWatchlistCardHTML(wl) {
+  const progress = getWatchlistProgress(wl);
+  const rating = getWatchlistRating(wl);
+
+  return `
+    <article
+      class="watchlist-card card-base${wl.archivedAt ? " watchlist-card--archived" : ""}${wl.color ? " watchlist-card--accented" : ""}"
+      data-id="${wl.id}"
+      ${wl.color ? `style="--watchlist-accent: ${escapeHTML(wl.color)}"` : ""}>
+      <header class="watchlist-card__header">
+        <span class="watchlist-card__icon" aria-hidden="true">${escapeHTML(wl.icon)}</span>
+        <h2 class="watchlist-card__title">${escapeHTML(wl.title)}</h2>
+      </header>
+      ${
+        wl.description
+          ? `<p class="watchlist-card__description">${escapeHTML(wl.description)}</p>`
+          : ""
+      }
+      ${
+        progress.total > 0
+          ? buildProgressHTML(progress, `${wl.title} progress`)
+          : ""
+      }
+      ${
+        progress.next
+          ? `<p class="watchlist-card__next">Up next: <strong>${escapeHTML(progress.next.title)}</strong>${
+              progress.next.type === "series" &&
+              getSeriesProgress(progress.next).next
+                ? ` ${formatEpisodeLabel(getSeriesProgress(progress.next).next)}`
+                : ""
+            }</p>`
+          : ""
+      }
+      <div class="watchlist-card__controls">
+        <p class="watchlist-card__count">${
+          progress.total > 0
+            ? `${progress.watched}/${progress.total} watched${wl.members.length > 0 ? " by everyone" : ""}`
+            : "0 items"
+        }</p>
+        ${rating ? buildAverageRatingHTML(rating) : ""}
+        <button
+          class="btn btn--icon btn--text btn--small"
+          data-action="show-qr"
+          data-watchlist-id="${wl.id}"
+          aria-label="Show QR code for ${escapeHTML(wl.title)}">
+          <ion-icon name="qr-code-outline"></ion-icon>
+        </button>
+        <button
+          class="btn btn--icon btn--text btn--small"
+          data-action="${wl.archivedAt ? "unarchive-watchlist" : "archive-watchlist"}"
+          data-watchlist-id="${wl.id}"
+          aria-label="${wl.archivedAt ? "Unarchive" : "Archive"} ${escapeHTML(wl.title)}">
+          <ion-icon name="${wl.archivedAt ? "arrow-undo-outline" : "archive-outline"}"></ion-icon>
+        </button>
+        <button
+          class="btn btn--icon btn--text btn--small"
+          data-action="export-watchlist"
+          data-watchlist-id="${wl.id}"
+          aria-label="Export ${escapeHTML(wl.title)}">
+          <ion-icon name="document-text-outline"></ion-icon>
+        </button>
+        <button 
+          class="btn btn--icon btn--text btn--small"
+          data-action="share-watchlist"
+          data-watchlist-id="${wl.id}"
+          aria-label="Share ${escapeHTML(wl.title)}">
+          <ion-icon name="share-social-outline"></ion-icon>
+        </button>
+      </div>
+    </article>`;
 }
 /**
  * Render movies for a specific watchlist
  * Handles empty state and delegates to buildMovieCardHTML for each item
  */
-function renderMovies(watchlistId) {
+function renderMovies(watchlistId) {
+  const watchlist = getWatchlistById(watchlistId);
+  if (!watchlist) return;
+
+  const detailContent = document.getElementById("detail-content");
+
+  // the toolbar only applies to a non-empty movie list
+  detailToolbar.classList.toggle(
+    "hide",
+    detailView === "timeline" || watchlist.items.length === 0,
+  );
+
+  if (detailView === "timeline") {
+    renderTimeline(watchlist, detailContent);
+    return;
+  }
+
+  if (watchlist.items.length === 0) {
+    detailContent.classList.add("dialog__content--empty");
+    detailContent.innerHTML = `
+      <div class="empty-state">
+        <h2 class="empty-state__title">No movies added yet!</h2>
+        <p class="empty-state__text">
+          Get started by adding a movie. Click the <strong>Add movie</strong> button below.
+        </p>
+      </div>
+    `;
+    return;
+  }
+
+  const { query, filter, sort } = detailFilters;
+  // accent-insensitive like the library search
+  const normalizedQuery = normalizeSearchText(query.trim());
+  const visibleMovies = watchlist.items
+    .filter(MOVIE_FILTERS[filter])
+    .filter((movie) =>
+      normalizeSearchText(movie.title).includes(normalizedQuery),
+    )
+    .sort(MOVIE_SORTS[sort]);
+
+  if (visibleMovies.length === 0) {
+    detailContent.classList.add("dialog__content--empty");
+    detailContent.innerHTML = `
+      <div class="empty-state">
+        <h2 class="empty-state__title">No matching movies</h2>
+        <p class="empty-state__text">Try a different search or filter.</p>
+      </div>
+    `;
+    return;
+  }
+
+  // remove empty state class if it exists
+  detailContent.classList.remove("dialog__content--empty");
+
+  // reordering only makes sense when the full list is shown in custom order
+  const reorderable = filter === "all" && sort === "order" && !normalizedQuery;
+
+  detailContent.innerHTML = visibleMovies
+    .map((movie, index) =>
+      buildMovieCardHTML(
+        movie,
+        index,
+        visibleMovies,
+        reorderable,
+        watchlist.members,
+      ),
+    )
+    .join("");
+}
+
+/**
+ * Render watched items grouped by the month they were watched, newest first
+ * Items watched before timestamps existed are collected under "Date unknown"
+ */
+function renderTimeline(watchlist, detailContent) {
+  const watched = watchlist.items.filter((movie) => movie.watched);
+
+  if (watched.length === 0) {
+    detailContent.classList.add("dialog__content--empty");
+    detailContent.innerHTML = `
+      <div class="empty-state">
+        <h2 class="empty-state__title">Nothing watched yet!</h2>
+        <p class="empty-state__text">
+          Movies show up here once you mark them as watched.
+        </p>
+      </div>
+    `;
+    return;
+  }
+
+  detailContent.classList.remove("dialog__content--empty");
+
+  const dated = watched
+    .filter((movie) => movie.watchedAt)
+    .sort((a, b) => new Date(b.watchedAt) - new Date(a.watchedAt));
+  const groups = new Map();
+
+  dated.forEach((movie) => {
+    const date = new Date(movie.watchedAt);
+    const key = `${date.getFullYear()}-${date.getMonth()}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        label: date.toLocaleDateString(undefined, {
+          month: "long",
+          year: "numeric",
+        }),
+        movies: [],
+      });
+    }
+    groups.get(key).movies.push(movie);
+  });
+
+  const undated = watched.filter((movie) => !movie.watchedAt);
+  if (undated.length > 0) {
+    groups.set("unknown", { label: "Date unknown", movies: undated });
+  }
+
+  detailContent.innerHTML = `
+    <div class="timeline">
+      ${[...groups.values()]
+        .map(
+          (group) => `
+      <section class="timeline__group">
+        <h3 class="timeline__month">${group.label}</h3>
+        <ol class="timeline__list">
+          ${group.movies
+            .map(
+              (movie) => `
+          <li class="timeline__item">
+            ${buildPosterHTML(movie)}
+            <div>
+              <p class="timeline__title">${escapeHTML(movie.title)}</p>
+              ${
+                movie.watchedAt
+                  ? `<p class="timeline__date">${formatWatchedDate(movie)}</p>`
+                  : ""
+              }
+            </div>
+          </li>`,
+            )
+            .join("")}
+        </ol>
+      </section>`,
+        )
+        .join("")}
+    </div>
+  `;
+}
+
+/**
+ * Build HTML for a single movie card
+ * Extracted for readability and maintainability
+ * Receives its position in the rendered list to set up the reorder controls,
+ * and the watchlist's members for their badges and reviews
+ */
+function buildMovieCardHTML(
+  movie,
+  index,
+  movies,
+  reorderable = true,
+  members = [],
+) {
+  const isSeries = movie.type === "series";
+  const hasMembers = members.length > 0;
+  const reviews = getItemReviews(members, movie);
+  const metadata = formatItemMetadata(movie);
+  const badgeClass = movie.watched ? "watched" : "unwatched";
+  const badgeText = isSeries
+    ? buildSeriesBadgeText(movie)
+    : hasMembers && isWatchedByEveryone(members, movie)
+      ? "Everyone watched"
+      : movie.watched
+        ? "Watched"
+        : "Unwatched";
+  const reviewAction = reviews.length > 0 ? "edit-review" : "add-review";
+  const reviewLabel = hasMembers
+    ? "Reviews"
+    : hasReviewContent(movie)
+      ? "Edit review"
+      : "Add review";
+  const reviewIcon = reviews.length > 0 ? "create-outline" : "chatbox-outline";
+  const isFirst = index === 0;
+  const isLast = index === movies.length - 1;
+
+  return `
+    <article class="movie-card card-base" data-movie-id="${movie.id}">
+      <div class="movie-card__header">
+        ${buildPosterHTML(movie)}
+        <div class="movie-card__details">
+          <div class="movie-card__details-top">
+            <h3 class="movie-card__title">${escapeHTML(movie.title)}</h3>
+            ${metadata ? `<p class="movie-card__meta">${metadata}</p>` : ""}
+            <span class="badge badge--${badgeClass}">
+              ${badgeText}
+            </span>
+            ${
+              movie.watchedAt
+                ? `<p class="movie-card__meta">Watched ${formatWatchedDate(movie)}</p>`
+                : ""
+            }
+            ${hasMembers ? buildMemberBadgesHTML(movie, members) : ""}
+          </div>
+          <div class="movie-card__actions">
+            ${isSeries ? buildSeriesActionsHTML(movie) : buildMovieActionsHTML(movie, hasMembers)}
+            <button
+              class="btn btn--icon btn--text btn--small"
+              data-action="${reviewAction}"
+              data-movie-id="${movie.id}"
+              aria-label="${reviewLabel} for ${escapeHTML(movie.title)}">
+              <ion-icon name="${reviewIcon}"></ion-icon>
+            </button>
+          </div>
+        </div>
+        ${
+          reorderable
+            ? `
+        <div class="movie-card__reorder">
+          <button
+            class="btn btn--icon btn--text btn--small"
+            data-action="move-up"
+            data-movie-id="${movie.id}"
+            aria-label="Move ${escapeHTML(movie.title)} up"
+            ${isFirst ? "disabled" : ""}>
+            <ion-icon name="chevron-up-outline"></ion-icon>
+          </button>
+          <button
+            class="btn btn--icon btn--text btn--small movie-card__handle"
+            data-action="drag-handle"
+            data-movie-id="${movie.id}"
+            aria-label="Reorder ${escapeHTML(movie.title)}, position ${index + 1} of ${movies.length}. Drag, or use the arrow keys">
+            <ion-icon name="reorder-three-outline"></ion-icon>
+          </button>
+          <button
+            class="btn btn--icon btn--text btn--small"
+            data-action="move-down"
+            data-movie-id="${movie.id}"
+            aria-label="Move ${escapeHTML(movie.title)} down"
+            ${isLast ? "disabled" : ""}>
+            <ion-icon name="chevron-down-outline"></ion-icon>
+          </button>
+        </div>`
+            : ""
+        }
+      </div>
+      ${
+        reviews.length > 0 || isSeries
+          ? `
+      <div class="movie-card__content">
+        ${isSeries ? buildSeasonsHTML(movie) : ""}
+        ${reviews.map((entry) => buildReviewHTML(movie, entry)).join("")}
+      </div>
+      `
+          : ""
+      }
+    </article>
+  `;
+}
+
+const SYNC_STATUS_LABELS = {
+  connected: "Connected to the other device",
+  waiting: "Waiting for the other device…",
+  offline: "Can't reach the sync relay, retrying…",
+};
+
+/**
+ * Contents of the sync dialog for one watchlist
+ */
+function buildSyncPanelHTML(watchlist, session, hasRelay) {
+  if (!hasRelay) {
+    return `
+      <p class="sync-panel__text">
+        Live sync needs a relay to find the other device. Add its address under
+        <strong>Settings → Live sync</strong>, then come back here.
+      </p>`;
+  }
+
+  if (!session) {
+    return `
+      <p class="sync-panel__text">
+        Pair "${escapeHTML(watchlist.title)}" with another device. While both have
+        Watchlist+ open, new movies, watched marks, reviews and reordering show up on both.
+      </p>
+      <button type="button" class="btn btn--primary btn--full" data-action="start-sync">
+        Get a pairing code
+      </button>`;
+  }
+
+  return `
+    <p class="sync-panel__text">Pairing code</p>
+    <p class="sync-panel__code">${escapeHTML(session.room)}</p>
+    <p class="sync-panel__text">
+      On the other device, enter this code under <strong>Settings → Live sync</strong>.
+    </p>
+    <p class="sync-panel__status" data-status="${session.status}" role="status">
+      ${SYNC_STATUS_LABELS[session.status]}
+    </p>
+    <button type="button" class="btn btn--secondary btn--full" data-action="stop-sync">
+      Stop syncing
+    </button>`;
+}
+
+/**
+ * Summary of a merge for the confirmation dialog
+ */
+function buildMergeDiffHTML(diff) {
+  const added = diff.added.map(
+    (item) => `
+      <li class="merge-diff__item merge-diff__item--added">
+        <ion-icon name="add-outline" aria-hidden="true"></ion-icon>
+        ${escapeHTML(item.title)}
+      </li>`,
+  );
+  const seasons = diff.newSeasons.map(
+    ({ series, episodeCounts }) => `
+      <li class="merge-diff__item merge-diff__item--added">
+        <ion-icon name="add-outline" aria-hidden="true"></ion-icon>
+        ${escapeHTML(series.title)}: ${episodeCounts.length} new season(s)
+      </li>`,
+  );
+  const kept = diff.matches.size;
+  const localOnly = diff.localOnly.length;
+
+  return `
+    ${
+      added.length + seasons.length > 0
+        ? `<p class="merge-diff__heading">New in the shared list</p>
+          <ul class="merge-diff">${[...added, ...seasons].join("")}</ul>`
+        : `<p class="merge-diff__heading">Nothing new, your list is up to date.</p>`
+    }
+    <p class="merge-diff__note">
+      ${kept} already in your list stay as they are.
+      ${localOnly > 0 ? `${localOnly} only in your list will be kept.` : ""}
+    </p>`;
+}
+
+/**
+ * Preview of a pasted list, rows that will be skipped say why
+ */
+function buildBulkPreviewHTML(rows) {
+  const addCount = rows.filter((row) => row.isValid).length;
+
+  return `
+    <p class="bulk-preview__summary">${addCount} of ${rows.length} will be added.</p>
+    <table class="bulk-preview__table">
+      <thead>
+        <tr>
+          <th scope="col">Title</th>
+          <th scope="col">Poster</th>
+          <th scope="col">Status</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows
+          .map(
+            (row) => `
+        <tr class="${row.isValid ? "" : "bulk-preview__row--skipped"}">
+          <td>
+            ${escapeHTML(row.title || "(no title)")}
+            ${row.year ? `<span class="bulk-preview__year">${escapeHTML(row.year)}</span>` : ""}
+          </td>
+          <td>${row.posterUrl ? "URL" : "Placeholder"}</td>
+          <td>
+            <span class="badge ${row.isValid ? "badge--watched" : "badge--unwatched"}">${row.isValid ? "Add" : "Skip"}</span>
+            ${row.note ? `<span class="bulk-preview__note">${escapeHTML(row.note)}</span>` : ""}
+          </td>
+        </tr>`,
+          )
+          .join("")}
+      </tbody>
+    </table>`;
+}
+
+/**
+ * Poster image, the data attributes drive the fallback chain when it fails to load
+ */
+function buildPosterHTML(movie) {
+  return `
+    <img
+      src="${escapeHTML(getPosterSrc(movie))}"
+      data-poster-url="${escapeHTML(movie.posterUrl)}"
+      data-poster-title="${escapeHTML(movie.title)}"
+      alt="${escapeHTML(movie.title)} poster" />`;
+}
+
+/**
+ * One review on a movie card: who wrote it, rating and flags, then the text
+ * Earlier versions fold away under "Previous thoughts", newest first
+ */
+function buildReviewHTML(movie, entry) {
+  const { member, reviewHistory } = entry;
+
+  return `
+    <div class="movie-card__review">
+      ${
+        member
+          ? `<p class="movie-card__review-author">${escapeHTML(member.name)}</p>`
+          : ""
+      }
+      ${buildReviewBodyHTML(movie, entry)}
+      ${
+        reviewHistory.length > 0
+          ? `
+      <details class="movie-card__history">
+        <summary class="movie-card__history-toggle">
+          Previous thoughts (${reviewHistory.length})
+        </summary>
+        <ol class="movie-card__history-list">
+          ${[...reviewHistory]
+            .reverse()
+            .map(
+              (revision) => `
+          <li class="movie-card__revision">
+            <p class="movie-card__revision-date">${
+              revision.savedAt
+                ? formatRevisionDate(revision.savedAt)
+                : "Before edits were dated"
+            }</p>
+            ${buildReviewBodyHTML(movie, revision)}
+          </li>`,
+            )
+            .join("")}
+        </ol>
+      </details>`
+          : ""
+      }
+    </div>`;
+}
+
+/**
+ * Rating, flags and text of a review or one of its revisions
+ * Spoiler reviews stay blurred until tapped
+ */
+function buildReviewBodyHTML(movie, { review, rating, rewatch, spoilers }) {
+  const details = [
+    rating !== null ? buildRatingHTML(rating) : "",
+    rewatch ? `<span class="movie-card__review-flag">Would rewatch</span>` : "",
+  ].filter(Boolean);
+
+  return `
+    ${details.length > 0 ? `<p class="movie-card__review-details">${details.join("")}</p>` : ""}
+    ${
+      !review
+        ? ""
+        : spoilers
+          ? `
+    <button
+      type="button"
+      class="movie-card__review-text movie-card__spoiler"
+      data-action="reveal-spoiler"
+      data-movie-id="${movie.id}"
+      aria-label="Contains spoilers, tap to show the review">
+      ${escapeHTML(review)}
+    </button>`
+          : `<p class="movie-card__review-text">${escapeHTML(review)}</p>`
+    }`;
+}
+
+/**
+ * Five stars filled to the rating, half stars included
+ */
+function buildRatingHTML(rating) {
+  const stars = Array.from({ length: MAX_RATING }, (_, index) => {
+    const fill =
+      rating >= index + 1 ? "full" : rating > index ? "half" : "empty";
+    return `<span class="rating__star rating__star--${fill}">★</span>`;
+  });
+
+  return `
+    <span class="rating" role="img" aria-label="Rated ${formatRating(rating)} out of ${MAX_RATING}">
+      ${stars.join("")}
+    </span>`;
+}
+
+function buildAverageRatingHTML({ average, count }) {
+  return `
+    <p
+      class="watchlist-card__rating"
+      aria-label="Average rating ${formatRating(average)} out of ${MAX_RATING} from ${count} rated">
+      <span aria-hidden="true">★</span> ${formatRating(average)}
+    </p>`;
+}
+
+/**
+ * One badge per member, tapping an unwatched one marks the movie watched for them,
+ * or for a series their next episode
+ */
+function buildMemberBadgesHTML(movie, members) {
+  return `
+    <div class="movie-card__members">
+      ${members
+        .map((member) => {
+          if (movie.type === "series") {
+            return buildMemberEpisodeBadgeHTML(movie, member);
+          }
+          const { watched } = getMemberState(movie, member.id);
+          return `
+      <button
+        type="button"
+        class="badge badge--${watched ? "watched" : "unwatched"} badge--member"
+        data-action="member-watched"
+        data-movie-id="${movie.id}"
+        data-member-id="${member.id}"
+        aria-label="${escapeHTML(member.name)}: ${
+          watched ? "watched" : `mark ${escapeHTML(movie.title)} as watched`
+        }"
+        ${watched ? "disabled" : ""}>
+        ${watched ? '<ion-icon name="checkmark-outline" aria-hidden="true"></ion-icon>' : ""}
+        ${escapeHTML(member.name)}
+      </button>`;
+        })
+        .join("")}
+    </div>`;
+}
+
+/**
+ * e.g. "Sam · S2 E3", marking that episode watched for Sam
+ */
+function buildMemberEpisodeBadgeHTML(series, member) {
+  const { next } = getMemberSeriesProgress(series, member.id);
+
+  return `
+      <button
+        type="button"
+        class="badge badge--${next ? "unwatched" : "watched"} badge--member"
+        data-action="member-next-episode"
+        data-movie-id="${series.id}"
+        data-member-id="${member.id}"
+        aria-label="${escapeHTML(member.name)}: ${
+          next
+            ? `mark ${formatEpisodeLabel(next)} of ${escapeHTML(series.title)} as watched`
+            : "every episode watched"
+        }"
+        ${next ? "" : "disabled"}>
+        ${next ? "" : '<ion-icon name="checkmark-outline" aria-hidden="true"></ion-icon>'}
+        ${escapeHTML(member.name)}${next ? ` · ${formatEpisodeLabel(next)}` : ""}
+      </button>`;
+}
+
+/**
+ * Watch buttons for a movie: mark watched, plus backfilling a date if it has none
+ * With members the badges mark movies watched instead
+ */
+function buildMovieActionsHTML(movie, hasMembers = false) {
+  const watchedBtnDisabled = movie.watched ? "disabled" : "";
+  const needsWatchedDate = movie.watched && !movie.watchedAt;
+
+  return `
+    ${
+      hasMembers
+        ? ""
+        : `
+    <button
+      class="btn btn--icon btn--text btn--small"
+      data-action="toggle-watched"
+      data-movie-id="${movie.id}"
+      aria-label="Mark ${escapeHTML(movie.title)} as watched"
+      ${watchedBtnDisabled}>
+      <ion-icon name="checkmark-circle-outline"></ion-icon>
+    </button>`
+    }
+    ${
+      needsWatchedDate
+        ? `
+    <button
+      class="btn btn--icon btn--text btn--small"
+      data-action="add-watched-date"
+      data-movie-id="${movie.id}"
+      aria-label="Add watch date for ${escapeHTML(movie.title)}">
+      <ion-icon name="calendar-outline"></ion-icon>
+    </button>`
+        : ""
+    }`;
+}
+
+/**
+ * Watch buttons for a series: next episode shortcut and adding a season
+ */
+function buildSeriesActionsHTML(series) {
+  const { next } = getSeriesProgress(series);
+
+  return `
+    <button
+      class="btn btn--icon btn--text btn--small"
+      data-action="watch-next-episode"
+      data-movie-id="${series.id}"
+      aria-label="${
+        next
+          ? `Mark ${formatEpisodeLabel(next)} of ${escapeHTML(series.title)} as watched`
+          : `Every episode of ${escapeHTML(series.title)} is watched`
+      }"
+      ${next ? "" : "disabled"}>
+      <ion-icon name="play-skip-forward-outline"></ion-icon>
+    </button>
+    <button
+      class="btn btn--icon btn--text btn--small"
+      data-action="add-season"
+      data-movie-id="${series.id}"
+      aria-label="Add a season to ${escapeHTML(series.title)}">
+      <ion-icon name="add-circle-outline"></ion-icon>
+    </button>`;
+}
+
+/**
+ * e.g. "Next S2 E3 · 12/30", or "New episodes · Next S6 E1 · 50/63" for a finished series
+ */
+function buildSeriesBadgeText(series) {
+  const { total, watched, next } = getSeriesProgress(series);
+  if (!next) return series.watched ? "Watched" : `${watched}/${total}`;
+
+  const progress = `Next ${formatEpisodeLabel(next)} · ${watched}/${total}`;
+  return series.watched ? `New episodes · ${progress}` : progress;
+}
+
+/**
+ * Expandable per-season episode grid, each unwatched episode can be marked individually
+ */
+function buildSeasonsHTML(series) {
+  const { total } = getSeriesProgress(series);
+
+  return `
+    <details class="series-seasons" data-series-id="${series.id}" ${
+      openSeriesIds.has(series.id) ? "open" : ""
+    }>
+      <summary>${series.seasons.length} season(s), ${total} episode(s)</summary>
+      ${series.seasons
+        .map(
+          (season) => `
+      <div class="series-season">
+        <h4 class="series-season__title">Season ${season.number}</h4>
+        <div class="series-season__episodes">
+          ${season.episodes
+            .map(
+              (episode) => `
+          <button
+            type="button"
+            class="episode-chip"
+            data-action="watch-episode"
+            data-movie-id="${series.id}"
+            data-episode-id="${episode.id}"
+            aria-label="${
+              episode.watched
+                ? `Season ${season.number} episode ${episode.number}, watched`
+                : `Mark season ${season.number} episode ${episode.number} as watched`
+            }"
+            ${episode.watched ? "disabled" : ""}>
+            ${episode.number}
+          </button>`,
+            )
+            .join("")}
+        </div>
+      </div>`,
+        )
+        .join("")}
+    </details>`;
+}
+
+/**
+ * Build a grid of labelled numbers from [label, value] pairs
+ */
+function buildSummaryGridHTML(stats) {
+  return `
+    <dl class="summary-grid">
+      ${stats
+        .map(
+          ([label, value]) => `
+      <div class="summary-grid__stat">
+        <dt>${label}</dt>
+        <dd>${value}</dd>
+      </div>`,
+        )
+        .join("")}
+    </dl>`;
+}
+
+/**
+ * Build the library-wide stats dialog content
+ * Everything is derived from stored data, nothing extra is tracked
+ */
+function buildStatsHTML(watchlists) {
+  const items = watchlists.flatMap((wl) => wl.items);
+  const watched = items.filter((item) => item.watched);
+  const completion =
+    items.length > 0 ? Math.round((watched.length / items.length) * 100) : 0;
+
+  const months = new Map();
+  watched
+    .filter((item) => item.watchedAt)
+    .sort((a, b) => new Date(b.watchedAt) - new Date(a.watchedAt))
+    .forEach((item) => {
+      const date = new Date(item.watchedAt);
+      const key = `${date.getFullYear()}-${date.getMonth()}`;
+      if (!months.has(key)) {
+        months.set(key, {
+          label: date.toLocaleDateString(undefined, {
+            month: "long",
+            year: "numeric",
+          }),
+          count: 0,
+        });
+      }
+      months.get(key).count += 1;
+    });
+  const busiestMonth = Math.max(0, ...[...months.values()].map((m) => m.count));
+  const undatedCount = watched.filter((item) => !item.watchedAt).length;
+
+  return `
+    ${buildSummaryGridHTML([
+      ["Watchlists", watchlists.length],
+      ["Movies", items.length],
+      ["Watched", `${watched.length} (${completion}%)`],
+      ["Reviews", items.filter(hasReview).length],
+    ])}
+    <section class="stats-section">
+      <h3 class="stats-section__title">Completion by list</h3>
+      ${
+        watchlists.length > 0
+          ? watchlists
+              .map((wl) => {
+                const progress = getWatchlistProgress(wl);
+                return `
+      <div class="stats-row">
+        <span class="stats-row__label">${escapeHTML(wl.icon)} ${escapeHTML(wl.title)}</span>
+        <span>${progress.watched}/${progress.total} · ${progress.percent}%</span>
+        ${buildProgressHTML(progress, `${wl.title} completion`)}
+      </div>`;
+              })
+              .join("")
+          : `<p class="stats-note">No watchlists yet.</p>`
+      }
+    </section>
+    <section class="stats-section">
+      <h3 class="stats-section__title">Watched per month</h3>
+      ${
+        months.size > 0
+          ? [...months.values()]
+              .map(
+                (month) => `
+      <div class="stats-row">
+        <span class="stats-row__label">${month.label}</span>
+        <span>${month.count}</span>
+        ${buildProgressHTML(
+          {
+            watched: month.count,
+            total: busiestMonth,
+            percent: Math.round((month.count / busiestMonth) * 100),
+          },
+          `${month.label}: ${month.count} watched`,
+        )}
+      </div>`,
+              )
+              .join("")
+          : `<p class="stats-note">Nothing with a watch date yet.</p>`
+      }
+      ${
+        undatedCount > 0
+          ? `<p class="stats-note">${undatedCount} watched without a date.</p>`
+          : ""
+      }
+    </section>
+  `;
+}
+
+/**
+ * Build the preview shown before a backup is restored
+ */
+function buildRestorePreviewHTML(backup) {
+  const existingIds = new Set(getLibrary().map((wl) => wl.id));
+  const items = backup.watchlists.flatMap((wl) => wl.items);
+  const stats = [
+    ["Watchlists", backup.watchlists.length],
+    ["Movies", items.length],
+    ["Watched", items.filter((item) => item.watched).length],
+    ["Reviews", items.filter(hasReview).length],
+  ];
+  const createdAt = new Date(backup.createdAt);
+  const createdLabel = isNaN(createdAt)
+    ? "an unknown date"
+    : createdAt.toLocaleString();
+
+  return `
+    <p class="restore-note">Backup from ${escapeHTML(createdLabel)}. Settings${
+      backup.templates.length > 0 ? " and templates" : ""
+    } will be restored too.</p>
+    ${buildSummaryGridHTML(stats)}
+    <ul class="restore-list">
+      ${backup.watchlists
+        .map(
+          (wl) => `
+      <li class="restore-list__item">
+        <span>${escapeHTML(wl.icon)} ${escapeHTML(wl.title)} (${wl.items.length})</span>
+        ${
+          existingIds.has(wl.id)
+            ? `<span class="badge badge--unwatched">Already in library</span>`
+            : `<span class="badge badge--watched">New</span>`
+        }
+      </li>`,
+        )
+        .join("")}
+    </ul>
+  `;
+}
+
+/**
+ * Preview of an export file: which fields were read and the first few titles
+ */
+function buildFileImportPreviewHTML(parsed, watchlist) {
+  const { items } = watchlist;
+  const stats = [
+    ["Movies", items.length],
+    ["Watched", items.filter((item) => item.watched).length],
+    ["Rated", items.filter((item) => item.rating !== null).length],
+    ["Reviews", items.filter((item) => item.review).length],
+  ];
+  const shown = items.slice(0, 10);
+
+  return `
+    ${buildSummaryGridHTML(stats)}
+    <p class="merge-diff__heading">Read from the ${escapeHTML(parsed.adapter.label)} file</p>
+    <ul class="import-mapping">
+      ${parsed.mapping
+        .map(
+          ([from, to]) => `
+      <li class="import-mapping__item">
+        <code>${escapeHTML(from)}</code>
+        <ion-icon name="arrow-forward-outline" aria-label="becomes"></ion-icon>
+        ${escapeHTML(to)}
+      </li>`,
+        )
+        .join("")}
+    </ul>
+    <ul class="restore-list">
+      ${shown
+        .map(
+          (item) => `
+      <li class="restore-list__item">
+        <span>${escapeHTML(item.title)}${item.year ? ` (${item.year})` : ""}</span>
+        ${
+          item.watched
+            ? `<span class="badge badge--watched">${item.watchedAt ? escapeHTML(formatWatchedDate(item)) : "Watched"}</span>`
+            : `<span class="badge badge--unwatched">Unwatched</span>`
+        }
+      </li>`,
+        )
+        .join("")}
+    </ul>
+    <p class="merge-diff__note">
+      ${items.length > shown.length ? `And ${items.length - shown.length} more.` : ""}
+      ${parsed.combined > 0 ? `${parsed.combined} repeat viewing(s) were combined.` : ""}
+      ${parsed.skipped > 0 ? `${parsed.skipped} series, episode(s) or untitled row(s) were skipped.` : ""}
+      Posters can be added later, a placeholder is shown until then.
+    </p>`;
+}
+
+// DIALOG MANAGEMENT //
+
+/**
+ * Generic modal opening function
+ * Stores last focused element for accessibility
+ */
+function openModal(overlayEl, dialogEl, focusEl) {
+  lastFocusedElement = document.activeElement;
+  overlayEl.classList.remove("hide");
+  dialogEl.setAttribute("open", "");
+  if (focusEl) focusEl.focus();
+}
+
+/**
+ * Generic modal closing function
+ * Restores focus to trigger element for accessibility
+ */
+function closeModal(overlayEl, dialogEl, formEl) {
+  overlayEl.classList.add("hide");
+  dialogEl.removeAttribute("open");
+  if (formEl) formEl.reset();
+  if (lastFocusedElement) {
+    lastFocusedElement.focus();
+    lastFocusedElement = null;
+  }
+}
+
+/**
+ * Create reusable overlay click handler
+ * Closes dialog when clicking outside or on close button
+ */
+function createOverlayClickHandler(overlayEl, closeFunction) {
+  return (e) => {
+    if (e.target === overlayEl || e.target.dataset.action === "close-dialog") {
+      closeFunction();
+    }
+  };
+}
+
+/**
+ * Create reusable Escape key handler for dialog accessibility
+ */
+function createEscapeKeyHandler(closeFunction) {
+  return (e) => {
+    if (e.key === "Escape") {
+      closeFunction();
+    }
+  };
+}
+
+// specific dialog functions (thin wrappers for clarity)
+
+function openDialog() {
+  renderCreateTemplateOptions();
+  applyCreateTemplate();
+  openModal(dialogOverlay, dialogCreate, inputTitle);
+
+  // curated templates are fetched the first time, added to the picker when they arrive
+  if (!curatedTemplates)
+    loadCuratedTemplates().then(renderCreateTemplateOptions);
+}
+
+function renderCreateTemplateOptions() {
+  const selected = selectCreateTemplate.value;
+  selectCreateTemplate.innerHTML = buildTemplateOptionsHTML(
+    loadTemplates(),
+    curatedTemplates ?? [],
+  );
+  selectCreateTemplate.value = selected;
+}
+
+/**
+ * Fill the create form from the template picked under "Start from"
+ * A title typed by the user is kept, one filled in from a template is replaced
+ */
+function applyCreateTemplate() {
+  const template = findTemplate(selectCreateTemplate.value);
+
+  if (
+    inputTitle.value.trim() === "" ||
+    inputTitle.value === inputTitle.dataset.templateTitle
+  ) {
+    inputTitle.value = template?.title ?? "";
+  }
+  inputTitle.dataset.templateTitle = template?.title ?? "";
+
+  createPresentationFields.innerHTML = buildPresentationFieldsHTML(
+    "create-watchlist",
+    template ?? { icon: WATCHLIST_ICONS[0], color: null, description: "" },
+  );
+  createTemplateHint.textContent = template
+    ? `${template.items.length} ${template.items.length === 1 ? "item" : "items"} will be added, all unwatched.`
+    : "";
+  createTemplateHint.classList.toggle("hide", !template);
+}
+
+function closeDialog() {
+  closeModal(dialogOverlay, dialogCreate, formCreate);
+}
+
+/**
+ * Open a watchlist, optionally scrolled to and highlighting one movie
+ */
+function openDetailDialog(watchlistId, focusMovieId = null) {
   const watchlist = getWatchlistById(watchlistId);
   if (!watchlist) return;
 
-  const detailContent = document.getElementById("detail-content");
+  currentWatchlistId = watchlistId;
+  detailWatchlistTitle.textContent = watchlist.title;
+  applyViewState({ query: "", ...loadViewState(watchlistId) });
 
-  if (watchlist.items.length === 0) {
-    detailContent.classList.add("dialog__content--empty");
-    detailContent.innerHTML = `
-      <div class="empty-state">
-        <h2 class="empty-state__title">No movies added yet!</h2>
-        <p class="empty-state__text">
-          Get started by adding a movie. Click the <strong>Add movie</strong> button below.
-        </p>
-      </div>
-    `;
-    return;
+  // a remembered filter could hide the movie, show everything this time only
+  const focusMovie = watchlist.items.find((item) => item.id === focusMovieId);
+  if (focusMovie && !MOVIE_FILTERS[detailFilters.filter](focusMovie)) {
+    applyViewState({ ...detailFilters, filter: "all" });
   }
 
-  // remove empty state class if it exists
-  detailContent.classList.remove("dialog__content--empty");
+  renderMovies(watchlistId);
+  updateSyncStatus();
+  openModal(dialogDetailOverlay, dialogDetail, null);
+
+  if (focusMovie) highlightMovieCard(focusMovie.id);
+}
+
+function highlightMovieCard(movieId) {
+  const card = detailContent.querySelector(
+    `.movie-card[data-movie-id="${movieId}"]`,
+  );
+  if (!card) return;
+
+  card.classList.add("movie-card--highlight");
+  card.tabIndex = -1;
+  card.scrollIntoView?.({ block: "center" });
+  card.focus({ preventScroll: true });
+}
+
+function closeDetailDialog() {
+  closeModal(dialogDetailOverlay, dialogDetail, null);
+  currentWatchlistId = null;
+  setDetailView("list");
+  renderWatchlistCards(getLibrary()); // re-render to update counts on watchlist cards. performance impact is negligible
+  renderSearchResults(); // watched status may have changed since the search ran
+}
+
+/**
+ * Sync the detail toolbar controls with a view state
+ */
+function applyViewState(viewState) {
+  detailFilters = viewState;
+  inputDetailSearch.value = viewState.query;
+  selectDetailSort.value = viewState.sort;
+  detailToolbar.querySelectorAll("[data-filter]").forEach((chip) => {
+    chip.setAttribute(
+      "aria-pressed",
+      String(chip.dataset.filter === viewState.filter),
+    );
+  });
+}
+
+/**
+ * Update part of the view state, remember filter and sort, then re-render
+ */
+function updateViewState(changes) {
+  applyViewState({ ...detailFilters, ...changes });
+  saveViewState(currentWatchlistId, {
+    filter: detailFilters.filter,
+    sort: detailFilters.sort,
+  });
+  renderMovies(currentWatchlistId);
+}
+
+/**
+ * Switch the detail dialog between the movie list and the viewing timeline
+ */
+function setDetailView(view) {
+  detailView = view;
+  const isTimeline = view === "timeline";
+  btnToggleTimeline.setAttribute("aria-pressed", String(isTimeline));
+  btnToggleTimeline.setAttribute(
+    "aria-label",
+    isTimeline ? "Show movie list" : "Show viewing timeline",
+  );
+  btnAddMovie.classList.toggle("hide", isTimeline);
+}
+
+function openCreateMovieDialog() {
+  openModal(dialogCreateMovieOverlay, dialogCreateMovie, inputMovieTitle);
+}
+
+function closeCreateMovieDialog() {
+  closeModal(dialogCreateMovieOverlay, dialogCreateMovie, formCreateMovie);
+  pickedMetadata = null;
+  clearTimeout(metadataSearchTimer);
+  metadataSearchController?.abort();
+  hideMetadataSuggestions();
+  setMetadataStatus("");
+  updateDuplicateWarning();
+  updateItemTypeFields();
+  formBulkAdd.reset();
+  renderBulkPreview();
+  setAddMode("single");
+}
+
+/**
+ * Switch the add dialog between adding one item and pasting a list
+ */
+function setAddMode(mode) {
+  const isBulk = mode === "bulk";
+  addModeButtons.forEach((button) =>
+    button.setAttribute(
+      "aria-pressed",
+      String(button.dataset.addMode === mode),
+    ),
+  );
+  formCreateMovie.classList.toggle("hide", isBulk);
+  formBulkAdd.classList.toggle("hide", !isBulk);
+  hideMetadataSuggestions();
+}
+
+/**
+ * Show the series-only fields when the series type is picked
+ */
+function updateItemTypeFields() {
+  const isSeries = formCreateMovie.elements["item-type"].value === "series";
+  seriesFields.classList.toggle("hide", !isSeries);
+  inputSeriesEpisodes.required = isSeries;
+}
+
+/**
+ * With members the dialog starts on the first member who hasn't written a review yet
+ */
+function openReviewDialog(movie, members = []) {
+  currentMovieId = movie.id;
+  reviewMemberField.classList.toggle("hide", members.length === 0);
+  selectReviewMember.innerHTML = members
+    .map(
+      (member) =>
+        `<option value="${member.id}">${escapeHTML(member.name)}</option>`,
+    )
+    .join("");
+
+  const firstWithout = members.find(
+    (member) => !getMemberState(movie, member.id).review,
+  );
+  if (firstWithout) selectReviewMember.value = firstWithout.id;
+
+  fillReviewDialog(movie, members.length > 0 ? selectReviewMember.value : null);
+  openModal(dialogReviewOverlay, dialogReview, textareaReview);
+}
+
+function fillReviewDialog(movie, memberId) {
+  const existing = memberId ? getMemberState(movie, memberId) : movie;
+  textareaReview.value = existing.review;
+  inputReviewRating.value = existing.rating ?? 0;
+  checkReviewRewatch.checked = existing.rewatch;
+  checkReviewSpoilers.checked = existing.spoilers;
+  reviewDialogTitle.textContent = hasReviewContent(existing)
+    ? "Edit review"
+    : "Add review";
+  updateReviewRatingValue();
+}
+
+function updateReviewRatingValue() {
+  const rating = Number(inputReviewRating.value);
+  reviewRatingValue.textContent =
+    rating > 0 ? `${formatRating(rating)} / ${MAX_RATING}` : "No rating";
+}
+
+function closeReviewDialog() {
+  closeModal(dialogReviewOverlay, dialogReview, formReview);
+  currentMovieId = null;
+}
+
+function openAddSeasonDialog(seriesId) {
+  currentMovieId = seriesId;
+  openModal(dialogAddSeasonOverlay, dialogAddSeason, inputSeasonEpisodes);
+}
+
+function closeAddSeasonDialog() {
+  closeModal(dialogAddSeasonOverlay, dialogAddSeason, formAddSeason);
+  currentMovieId = null;
+}
+
+function openWatchedDateDialog(movie) {
+  currentMovieId = movie.id;
+  watchedDateMovieTitle.textContent = movie.title;
+  // month inputs use YYYY-MM, cap at the current month
+  inputWatchedDate.max = new Date().toISOString().slice(0, 7);
+  openModal(dialogWatchedDateOverlay, dialogWatchedDate, inputWatchedDate);
+}
+
+function closeWatchedDateDialog() {
+  closeModal(dialogWatchedDateOverlay, dialogWatchedDate, formWatchedDate);
+  currentMovieId = null;
+}
+
+function openImportDialog() {
+  openModal(dialogImportOverlay, dialogImport, textareaImport);
+}
+
+function closeImportDialog() {
+  stopQrScan();
+  closeModal(dialogImportOverlay, dialogImport, formImport);
+}
+
+function openShareDialog(title, shareLink) {
+  shareDialogTitle.textContent = `Share "${title}"`;
+  btnShareCopy.textContent = "Copy link";
+  textareaShare.value = shareLink;
+  openModal(dialogShareOverlay, dialogShare, textareaShare);
+  textareaShare.select();
+}
+
+function openExportDialog(watchlistId) {
+  const watchlist = getWatchlistById(watchlistId);
+  if (!watchlist) return;
 
-  // sort by order property (with fallback for data integrity)
-  const sortedMovies = watchlist.items.sort(
-    (a, b) => (a.order ?? 0) - (b.order ?? 0),
+  exportWatchlistId = watchlistId;
+  dialogExportTitle.textContent = `Export "${watchlist.title}"`;
+  updateExportFormatHint();
+  openModal(
+    dialogExportOverlay,
+    dialogExport,
+    formExport.elements["export-format"][0],
   );
+}
+
+function closeExportDialog() {
+  closeModal(dialogExportOverlay, dialogExport, formExport);
+  exportWatchlistId = null;
+}
 
-  detailContent.innerHTML = sortedMovies.map(buildMovieCardHTML).join("");
+function updateExportFormatHint() {
+  exportFormatHint.textContent =
+    EXPORT_FORMATS[formExport.elements["export-format"].value].hint;
+}
+
+function closeShareDialog() {
+  closeModal(dialogShareOverlay, dialogShare, null);
+  hideShareQrCode();
 }
 
 /**
- * Build HTML for a single movie card
- * Extracted for readability and maintainability
+ * Render the share link as QR codes, cycling through them when it needs several
  */
-function buildMovieCardHTML(movie) {
-  const badgeClass = movie.watched ? "watched" : "unwatched";
-  const badgeText = movie.watched ? "Watched" : "Unwatched";
-  const watchedBtnDisabled = movie.watched ? "disabled" : "";
-  const reviewAction = movie.review ? "edit-review" : "add-review";
-  const reviewLabel = movie.review ? "Edit review" : "Add review";
-  const reviewIcon = movie.review ? "create-outline" : "chatbox-outline";
+function showShareQrCode() {
+  const frames = createQrFrames(textareaShare.value);
+  const codes = frames.map((frame, index) =>
+    buildQrSvg(
+      createQrCode(frame),
+      frames.length > 1
+        ? `QR code ${index + 1} of ${frames.length}`
+        : "QR code of the share link",
+    ),
+  );
 
-  return `
-    <article class="movie-card card-base">
-      <div class="movie-card__header">
-        <img 
-          src="${escapeHTML(movie.posterUrl)}" 
-          alt="${escapeHTML(movie.title)} poster" />
-        <div class="movie-card__details">
-          <div class="movie-card__details-top">
-            <h3 class="movie-card__title">${escapeHTML(movie.title)}</h3>
-            <span class="badge badge--${badgeClass}">
-              ${badgeText}
-            </span>
-          </div>
-          <div class="movie-card__actions">
-            <button
-              class="btn btn--icon btn--text btn--small"
-              data-action="toggle-watched"
-              data-movie-id="${movie.id}"
-              aria-label="Mark ${escapeHTML(movie.title)} as watched"
-              ${watchedBtnDisabled}>
-              <ion-icon name="checkmark-circle-outline"></ion-icon>
-            </button>
-            <button
-              class="btn btn--icon btn--text btn--small"
-              data-action="${reviewAction}"
-              data-movie-id="${movie.id}"
-              aria-label="${reviewLabel} for ${escapeHTML(movie.title)}">
-              <ion-icon name="${reviewIcon}"></ion-icon>
-            </button>
-          </div>
-        </div>
-      </div>
-      ${
-        movie.review
-          ? `
-      <div class="movie-card__content">
-        <div class="movie-card__review">
-          <p class="movie-card__review-text">${escapeHTML(movie.review)}</p>
-        </div>
-      </div>
-      `
-          : ""
-      }
-    </article>
-  `;
+  let current = 0;
+  const showFrame = () => {
+    shareQrCode.innerHTML = codes[current];
+    shareQrCaption.textContent =
+      codes.length > 1
+        ? `Code ${current + 1} of ${codes.length}. Keep the camera pointed here until every code has been scanned.`
+        : "Scan with a phone camera, or with Scan QR code in the import dialog.";
+    current = (current + 1) % codes.length;
+  };
+
+  showFrame();
+  clearInterval(qrAnimationTimer);
+  if (codes.length > 1) {
+    qrAnimationTimer = setInterval(showFrame, QR_FRAME_INTERVAL_MS);
+  }
+  shareQr.classList.remove("hide");
+  btnShareQr.classList.add("hide");
 }
 
-// DIALOG MANAGEMENT //
+function hideShareQrCode() {
+  clearInterval(qrAnimationTimer);
+  qrAnimationTimer = null;
+  shareQr.classList.add("hide");
+  shareQrCode.innerHTML = "";
+  btnShareQr.classList.remove("hide");
+}
 
 /**
- * Generic modal opening function
- * Stores last focused element for accessibility
+ * Scanning only needs a camera, decoding works in every browser (see createQrDetector)
  */
-function openModal(overlayEl, dialogEl, focusEl) {
-  lastFocusedElement = document.activeElement;
-  overlayEl.classList.remove("hide");
-  dialogEl.setAttribute("open", "");
-  if (focusEl) focusEl.focus();
+function initializeQrScanner() {
+  btnImportScan.classList.toggle("hide", !navigator.mediaDevices?.getUserMedia);
 }
 
-/**
- * Generic modal closing function
- * Restores focus to trigger element for accessibility
- */
-function closeModal(overlayEl, dialogEl, formEl) {
-  overlayEl.classList.add("hide");
-  dialogEl.removeAttribute("open");
-  if (formEl) formEl.reset();
-  if (lastFocusedElement) {
-    lastFocusedElement.focus();
-    lastFocusedElement = null;
+async function startQrScan() {
+  // stopQrScan clears qrScan, so after every wait the scan checks it's still wanted
+  const scan = {
+    stream: null,
+    timer: null,
+    checksum: null,
+    total: 0,
+    chunks: null,
+  };
+  qrScan = scan;
+  importScanner.classList.remove("hide");
+  btnImportScan.disabled = true;
+  importScannerStatus.textContent = "Starting camera…";
+
+  let detector;
+  try {
+    detector = await createQrDetector();
+  } catch (error) {
+    console.error("Failed to load QR decoder:", error);
+    if (qrScan !== scan) return;
+    qrScan = null;
+    importScannerStatus.textContent =
+      "Couldn't load the QR scanner. Check your connection, or paste the link instead.";
+    btnImportScan.disabled = false;
+    return;
   }
-}
+  if (qrScan !== scan) return;
 
-/**
- * Create reusable overlay click handler
- * Closes dialog when clicking outside or on close button
- */
-function createOverlayClickHandler(overlayEl, closeFunction) {
-  return (e) => {
-    if (e.target === overlayEl || e.target.dataset.action === "close-dialog") {
-      closeFunction();
+  try {
+    scan.stream = await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: "environment" },
+    });
+    if (qrScan !== scan) {
+      // closed while the camera was starting, nothing else will stop it
+      scan.stream.getTracks().forEach((track) => track.stop());
+      return;
     }
-  };
-}
+    importScannerVideo.srcObject = scan.stream;
+    await importScannerVideo.play();
+    if (qrScan !== scan) return;
+    importScannerStatus.textContent = "Point the camera at the QR code.";
+  } catch (error) {
+    console.error("Failed to start camera:", error);
+    if (qrScan !== scan) return;
+    scan.stream?.getTracks().forEach((track) => track.stop());
+    qrScan = null;
+    importScannerVideo.srcObject = null;
+    importScannerStatus.textContent =
+      "Couldn't access the camera. Check the permission, or paste the link instead.";
+    btnImportScan.disabled = false;
+    return;
+  }
 
-/**
- * Create reusable Escape key handler for dialog accessibility
- */
-function createEscapeKeyHandler(closeFunction) {
-  return (e) => {
-    if (e.key === "Escape") {
-      closeFunction();
+  const scanFrame = async () => {
+    if (!qrScan) return;
+
+    try {
+      for (const text of await detector.detect(importScannerVideo)) {
+        const importText = collectQrFrame(qrScan, text);
+        if (importText) {
+          stopQrScan();
+          textareaImport.value = importText;
+          submitImport(importText);
+          return;
+        }
+      }
+      if (qrScan.total > 1) {
+        importScannerStatus.textContent = `Scanned ${qrScan.chunks.size} of ${qrScan.total} codes…`;
+      }
+    } catch (error) {
+      console.warn("QR detection failed:", error);
     }
+
+    qrScan.timer = setTimeout(scanFrame, QR_SCAN_INTERVAL_MS);
   };
+  scanFrame();
 }
 
-// specific dialog functions (thin wrappers for clarity)
+function stopQrScan() {
+  if (qrScan) {
+    clearTimeout(qrScan.timer);
+    qrScan.stream?.getTracks().forEach((track) => track.stop());
+    qrScan = null;
+  }
+  importScannerVideo.srcObject = null;
+  importScanner.classList.add("hide");
+  btnImportScan.disabled = false;
+}
 
-function openDialog() {
-  openModal(dialogOverlay, dialogCreate, inputTitle);
+function openCustomizeDialog() {
+  const watchlist = getWatchlistById(currentWatchlistId);
+  if (!watchlist) return;
+
+  customizePresentationFields.innerHTML = buildPresentationFieldsHTML(
+    "customize-watchlist",
+    watchlist,
+  );
+  openModal(
+    dialogCustomizeOverlay,
+    dialogCustomize,
+    formCustomize.querySelector('input[name="watchlist-icon"]:checked'),
+  );
 }
 
-function closeDialog() {
-  closeModal(dialogOverlay, dialogCreate, formCreate);
+function closeCustomizeDialog() {
+  closeModal(dialogCustomizeOverlay, dialogCustomize, formCustomize);
 }
 
-function openDetailDialog(watchlistId) {
-  const watchlist = getWatchlistById(watchlistId);
-  if (!watchlist) return;
+function openMembersDialog() {
+  renderMemberList();
+  openModal(dialogMembersOverlay, dialogMembers, inputMemberName);
+}
 
-  currentWatchlistId = watchlistId;
-  detailWatchlistTitle.textContent = watchlist.title;
-  renderMovies(watchlistId);
-  openModal(dialogDetailOverlay, dialogDetail, null);
+function closeMembersDialog() {
+  closeModal(dialogMembersOverlay, dialogMembers, formAddMember);
 }
 
-function closeDetailDialog() {
-  closeModal(dialogDetailOverlay, dialogDetail, null);
-  currentWatchlistId = null;
-  renderWatchlistCards(loadWatchlists()); // re-render to update counts on watchlist cards. performance impact is negligible
+function renderTemplateList() {
+  const templates = loadTemplates();
+  templateList.innerHTML =
+    templates.length > 0
+      ? templates
+          .map(
+            (template) => `
+      <li class="template-list__item">
+        <span>${escapeHTML(template.icon)} ${escapeHTML(template.title)}</span>
+        <span class="template-list__count">${template.items.length} ${template.items.length === 1 ? "item" : "items"}</span>
+        <button
+          type="button"
+          class="btn btn--icon btn--text btn--small"
+          data-action="delete-template"
+          data-template-id="${escapeHTML(template.id)}"
+          aria-label="Delete template ${escapeHTML(template.title)}">
+          <ion-icon name="trash-outline"></ion-icon>
+        </button>
+      </li>`,
+          )
+          .join("")
+      : `<li class="template-list__empty">No templates saved yet.</li>`;
 }
 
-function openCreateMovieDialog() {
-  openModal(dialogCreateMovieOverlay, dialogCreateMovie, inputMovieTitle);
+function renderMemberList() {
+  const watchlist = getWatchlistById(currentWatchlistId);
+  if (!watchlist) return;
+  memberList.innerHTML = watchlist.members
+    .map(
+      (member) =>
+        `<li class="member-list__item">${escapeHTML(member.name)}</li>`,
+    )
+    .join("");
+  formAddMember.classList.toggle(
+    "hide",
+    watchlist.members.length >= MAX_MEMBERS,
+  );
 }
 
-function closeCreateMovieDialog() {
-  closeModal(dialogCreateMovieOverlay, dialogCreateMovie, formCreateMovie);
+function openSyncDialog() {
+  renderSyncDialog();
+  openModal(dialogSyncOverlay, dialogSync, null);
 }
 
-function openReviewDialog(movieId, existingReview = "") {
-  currentMovieId = movieId;
-  textareaReview.value = existingReview;
-  reviewDialogTitle.textContent = existingReview ? "Edit review" : "Add review";
-  openModal(dialogReviewOverlay, dialogReview, textareaReview);
+function closeSyncDialog() {
+  closeModal(dialogSyncOverlay, dialogSync, null);
 }
 
-function closeReviewDialog() {
-  closeModal(dialogReviewOverlay, dialogReview, formReview);
-  currentMovieId = null;
+function renderSyncDialog() {
+  const watchlist = getWatchlistById(currentWatchlistId);
+  if (!watchlist) return;
+  syncContent.innerHTML = buildSyncPanelHTML(
+    watchlist,
+    getSyncSession(watchlist.id),
+    Boolean(loadSettings().syncRelayUrl),
+  );
 }
 
-function openImportDialog() {
-  openModal(dialogImportOverlay, dialogImport, textareaImport);
+/**
+ * Reflect session changes in the detail header and the open sync dialog
+ */
+function updateSyncStatus() {
+  const session = currentWatchlistId && getSyncSession(currentWatchlistId);
+  btnSync.classList.toggle("btn--synced", Boolean(session));
+  btnSync.dataset.status = session?.status ?? "";
+  if (!dialogSyncOverlay.classList.contains("hide")) renderSyncDialog();
 }
 
-function closeImportDialog() {
-  closeModal(dialogImportOverlay, dialogImport, formImport);
+function openStatsDialog() {
+  statsContent.innerHTML = buildStatsHTML(getLibrary());
+  openModal(dialogStatsOverlay, dialogStats, null);
+}
+
+function closeStatsDialog() {
+  closeModal(dialogStatsOverlay, dialogStats, null);
 }
 
 function openSettingsDialog() {
   // refresh toggle state in case it was changed elsewhere
   const settings = loadSettings();
   toggleConfirmations.checked = settings.confirmationsEnabled;
+  toggleAutoArchive.checked = settings.autoArchive;
+  inputSyncRelay.value = settings.syncRelayUrl;
+  inputMetadataKey.value = settings.metadataApiKey;
+  inputMetadataBaseUrl.value = settings.metadataBaseUrl;
+  inputMetadataImageUrl.value = settings.metadataImageBaseUrl;
+  selectSyncTransport.value = settings.syncTransport;
+  updatePosterCacheStatus();
+  renderTemplateList();
   openModal(dialogSettingsOverlay, dialogSettings, null);
 }
 
+function closeRestoreDialog() {
+  closeModal(dialogRestoreOverlay, dialogRestore, null);
+  pendingRestore = null;
+  inputRestoreFile.value = "";
+}
+
 function closeSettingsDialog() {
   closeModal(dialogSettingsOverlay, dialogSettings, null);
 }
@@ -597,17 +7460,265 @@ function closeConfirmDialog() {
   closeModal(dialogConfirmOverlay, dialogConfirm, null);
 }
 
-// EVENT LISTENERS //
+// EVENT LISTENERS //
+
+// fab button
+fab.addEventListener("click", openDialog);
+
+// settings button
+btnSettings.addEventListener("click", openSettingsDialog);
+
+// stats button
+btnStats.addEventListener("click", openStatsDialog);
+
+// open import from settings
+btnOpenImport.addEventListener("click", () => {
+  openImportDialog();
+});
+
+// backup and restore from settings
+btnBackup.addEventListener("click", handleBackupDownload);
+
+btnOpenRestore.addEventListener("click", () => {
+  inputRestoreFile.click();
+});
+
+inputRestoreFile.addEventListener("change", () => {
+  const [file] = inputRestoreFile.files;
+  if (file) handleRestoreFile(file);
+});
+
+btnRestoreSubmit.addEventListener("click", () => {
+  if (!pendingRestore) return;
+
+  const restoredCount = restoreBackup(pendingRestore);
+  closeRestoreDialog();
+  renderApp();
+  alert(`Backup restored! ${restoredCount} watchlist(s) added.`);
+  cacheMissingPosters();
+});
+
+// update prompt: hand over to the waiting service worker, then reload once it controls the page
+btnUpdateReload.addEventListener("click", () => {
+  if (!waitingWorker) return;
+  btnUpdateReload.disabled = true;
+  waitingWorker.postMessage({ type: "SKIP_WAITING" });
+});
+
+navigator.serviceWorker?.addEventListener("controllerchange", () => {
+  // the first install also claims the page, only reload when the user asked for it
+  if (btnUpdateReload.disabled) window.location.reload();
+});
+
+// poster cache maintenance from settings
+btnRecachePosters.addEventListener("click", async () => {
+  const urls = [...getLibraryPosterUrls()];
+  btnRecachePosters.disabled = true;
+  posterCacheStatus.textContent = `Caching ${urls.length} posters…`;
+
+  const cached = await cachePosters(urls);
+  updatePosterCacheStatus();
+  alert(
+    `Cached ${cached} of ${urls.length} posters.${
+      cached < urls.length
+        ? "\n\nSome image hosts don't allow downloads from other sites. Those posters will keep loading from their original address."
+        : ""
+    }`,
+  );
+});
+
+btnCleanPosters.addEventListener("click", async () => {
+  try {
+    const removed = await cleanUpPosterCache();
+    updatePosterCacheStatus();
+    alert(`Removed ${removed} unused poster(s).`);
+  } catch (error) {
+    console.error("Failed to clean up posters:", error);
+    alert("Unable to clean up posters.");
+  }
+});
+
+// poster fallbacks: cached copy -> remote URL -> generated placeholder
+// (error events don't bubble, so listen in the capture phase)
+document.addEventListener(
+  "error",
+  (e) => {
+    const img = e.target;
+    if (!(img instanceof HTMLImageElement) || !img.dataset.posterTitle) return;
+
+    const remoteUrl = img.dataset.posterUrl;
+    if (img.src.startsWith("blob:") && remoteUrl) {
+      img.src = remoteUrl;
+    } else if (!img.src.startsWith("data:")) {
+      img.src = createPlaceholderPoster(img.dataset.posterTitle);
+    }
+  },
+  true,
+);
+
+// members
+btnMembers.addEventListener("click", openMembersDialog);
+
+btnCustomize.addEventListener("click", openCustomizeDialog);
+
+// templates
+btnSaveTemplate.addEventListener("click", () => {
+  saveWatchlistAsTemplate(currentWatchlistId);
+});
+
+btnDuplicate.addEventListener("click", async () => {
+  const copy = await duplicateWatchlist(currentWatchlistId);
+  if (!copy) return;
+
+  // switch straight to the copy, the original is one tap away on the home screen
+  closeDetailDialog();
+  openDetailDialog(copy.id);
+  announce(`Created "${copy.title}", nothing in it is watched yet.`);
+});
+
+selectCreateTemplate.addEventListener("change", applyCreateTemplate);
+
+templateList.addEventListener("click", (e) => {
+  if (e.target.dataset.action === "delete-template") {
+    deleteTemplate(e.target.dataset.templateId);
+  }
+});
+
+formAddMember.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const name = inputMemberName.value.trim();
+
+  const watchlists = loadWatchlists();
+  const watchlist = watchlists.find((wl) => wl.id === currentWatchlistId);
+  if (!watchlist || watchlist.members.length >= MAX_MEMBERS) return;
+
+  if (!isValidMemberName(watchlist, name)) {
+    alert("Please enter a name that isn't on this watchlist yet.");
+    return;
+  }
+
+  // show confirmation
+  const confirmed = await showConfirmation(
+    "Add member",
+    watchlist.members.length === 0
+      ? `Add ${name} to "${watchlist.title}"? Everything watched and reviewed so far will count as ${name}'s. Members can't be removed later.`
+      : `Add ${name} to "${watchlist.title}"? ${name} starts with nothing watched and progress only counts what everyone has watched, so it goes back until ${name} catches up. What the list already watched stays recorded. Members can't be removed later.`,
+  );
+
+  if (!confirmed) return;
+
+  addWatchlistMember(watchlist, name);
+  saveWatchlists(watchlists);
+  formAddMember.reset();
+  renderMemberList();
+  renderMovies(currentWatchlistId);
+  renderApp();
+});
+
+inputReviewRating.addEventListener("input", updateReviewRatingValue);
+
+// switch whose review the review dialog shows
+selectReviewMember.addEventListener("change", () => {
+  const movie = getWatchlistById(currentWatchlistId)?.items.find(
+    (m) => m.id === currentMovieId,
+  );
+  if (movie) fillReviewDialog(movie, selectReviewMember.value);
+});
+
+// live sync
+btnSync.addEventListener("click", openSyncDialog);
+
+syncContent.addEventListener("click", async (e) => {
+  const action = e.target.dataset.action;
+
+  if (action === "start-sync") {
+    startSyncSession({
+      room: generatePairingCode(),
+      watchlistId: currentWatchlistId,
+    });
+    saveSyncPairings();
+    updateSyncStatus();
+  } else if (action === "stop-sync") {
+    const session = getSyncSession(currentWatchlistId);
+    const confirmed = await showConfirmation(
+      "Stop syncing",
+      "Stop syncing this watchlist? Everything synced so far stays on both devices.",
+    );
+    if (confirmed && session) stopSyncSession(session.room);
+  }
+});
+
+inputSyncRelay.addEventListener("change", () => {
+  const relayUrl = inputSyncRelay.value.trim();
+  if (relayUrl && !/^wss?:\/\/\S+$/.test(relayUrl)) {
+    alert("The relay address should start with ws:// or wss://.");
+    return;
+  }
+
+  const settings = loadSettings();
+  settings.syncRelayUrl = relayUrl;
+  saveSettings(settings);
+  restartSyncSessions();
+});
+
+selectSyncTransport.addEventListener("change", () => {
+  const settings = loadSettings();
+  settings.syncTransport = selectSyncTransport.value;
+  saveSettings(settings);
+  restartSyncSessions();
+});
+
+formSyncJoin.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const room = normalizePairingCode(inputSyncCode.value);
+
+  if (!room) {
+    alert("Pairing codes have 8 letters and numbers, like K7QM-2PXA.");
+    return;
+  }
+  if (!loadSettings().syncRelayUrl) {
+    alert("Add the sync relay address first.");
+    return;
+  }
+  if (syncSessions.has(room)) {
+    alert("This device is already using that pairing code.");
+    return;
+  }
+
+  startSyncSession({ room, watchlistId: null });
+  saveSyncPairings();
+  formSyncJoin.reset();
+  alert(
+    "Paired! The watchlist will appear as soon as the other device is connected.",
+  );
+});
+
+// metadata lookup settings
+inputMetadataKey.addEventListener("change", () => {
+  const settings = loadSettings();
+  settings.metadataApiKey = inputMetadataKey.value.trim();
+  saveSettings(settings);
+});
 
-// fab button
-fab.addEventListener("click", openDialog);
+[
+  [inputMetadataBaseUrl, "metadataBaseUrl"],
+  [inputMetadataImageUrl, "metadataImageBaseUrl"],
+].forEach(([input, key]) => {
+  input.addEventListener("change", () => {
+    const settings = loadSettings();
+    const url = input.value.trim();
 
-// settings button
-btnSettings.addEventListener("click", openSettingsDialog);
+    // empty goes back to the default
+    if (url && !validatePosterUrl(url)) {
+      alert("Please enter a valid http or https address.");
+      input.value = settings[key];
+      return;
+    }
 
-// open import from settings
-btnOpenImport.addEventListener("click", () => {
-  openImportDialog();
+    settings[key] = url || getDefaultSettings()[key];
+    input.value = settings[key];
+    saveSettings(settings);
+  });
 });
 
 // toggle confirmations setting
@@ -617,6 +7728,12 @@ toggleConfirmations.addEventListener("change", (e) => {
   saveSettings(settings);
 });
 
+toggleAutoArchive.addEventListener("change", (e) => {
+  const settings = loadSettings();
+  settings.autoArchive = e.target.checked;
+  saveSettings(settings);
+});
+
 // confirmation dialog buttons
 btnConfirmAction.addEventListener("click", () => {
   handleConfirmAction(true);
@@ -648,6 +7765,14 @@ dialogReviewOverlay.addEventListener(
   "click",
   createOverlayClickHandler(dialogReviewOverlay, closeReviewDialog),
 );
+dialogWatchedDateOverlay.addEventListener(
+  "click",
+  createOverlayClickHandler(dialogWatchedDateOverlay, closeWatchedDateDialog),
+);
+dialogAddSeasonOverlay.addEventListener(
+  "click",
+  createOverlayClickHandler(dialogAddSeasonOverlay, closeAddSeasonDialog),
+);
 dialogImportOverlay.addEventListener(
   "click",
   createOverlayClickHandler(dialogImportOverlay, closeImportDialog),
@@ -656,6 +7781,34 @@ dialogSettingsOverlay.addEventListener(
   "click",
   createOverlayClickHandler(dialogSettingsOverlay, closeSettingsDialog),
 );
+dialogRestoreOverlay.addEventListener(
+  "click",
+  createOverlayClickHandler(dialogRestoreOverlay, closeRestoreDialog),
+);
+dialogStatsOverlay.addEventListener(
+  "click",
+  createOverlayClickHandler(dialogStatsOverlay, closeStatsDialog),
+);
+dialogShareOverlay.addEventListener(
+  "click",
+  createOverlayClickHandler(dialogShareOverlay, closeShareDialog),
+);
+dialogExportOverlay.addEventListener(
+  "click",
+  createOverlayClickHandler(dialogExportOverlay, closeExportDialog),
+);
+dialogCustomizeOverlay.addEventListener(
+  "click",
+  createOverlayClickHandler(dialogCustomizeOverlay, closeCustomizeDialog),
+);
+dialogMembersOverlay.addEventListener(
+  "click",
+  createOverlayClickHandler(dialogMembersOverlay, closeMembersDialog),
+);
+dialogSyncOverlay.addEventListener(
+  "click",
+  createOverlayClickHandler(dialogSyncOverlay, closeSyncDialog),
+);
 
 // escape key handlers for accessibility
 document.addEventListener("keydown", (e) => {
@@ -666,12 +7819,30 @@ document.addEventListener("keydown", (e) => {
     handleConfirmAction(false);
   } else if (!dialogReviewOverlay.classList.contains("hide")) {
     closeReviewDialog();
+  } else if (!dialogWatchedDateOverlay.classList.contains("hide")) {
+    closeWatchedDateDialog();
+  } else if (!dialogSyncOverlay.classList.contains("hide")) {
+    closeSyncDialog();
+  } else if (!dialogMembersOverlay.classList.contains("hide")) {
+    closeMembersDialog();
+  } else if (!dialogCustomizeOverlay.classList.contains("hide")) {
+    closeCustomizeDialog();
+  } else if (!dialogAddSeasonOverlay.classList.contains("hide")) {
+    closeAddSeasonDialog();
   } else if (!dialogCreateMovieOverlay.classList.contains("hide")) {
     closeCreateMovieDialog();
+  } else if (!dialogRestoreOverlay.classList.contains("hide")) {
+    closeRestoreDialog();
   } else if (!dialogImportOverlay.classList.contains("hide")) {
     closeImportDialog();
   } else if (!dialogSettingsOverlay.classList.contains("hide")) {
     closeSettingsDialog();
+  } else if (!dialogStatsOverlay.classList.contains("hide")) {
+    closeStatsDialog();
+  } else if (!dialogShareOverlay.classList.contains("hide")) {
+    closeShareDialog();
+  } else if (!dialogExportOverlay.classList.contains("hide")) {
+    closeExportDialog();
   } else if (!dialogDetailOverlay.classList.contains("hide")) {
     closeDetailDialog();
   } else if (!dialogOverlay.classList.contains("hide")) {
@@ -679,6 +7850,75 @@ document.addEventListener("keydown", (e) => {
   }
 });
 
+// export dialog
+formExport.addEventListener("change", (e) => {
+  if (e.target.name === "export-format") updateExportFormatHint();
+});
+
+formExport.addEventListener("submit", (e) => {
+  e.preventDefault();
+  handleExport(
+    formExport.elements["export-format"].value,
+    exportWatchlistId,
+    checkExportLibrary.checked,
+  );
+  closeExportDialog();
+});
+
+// share dialog, shown when copying the link automatically failed
+textareaShare.addEventListener("focus", () => textareaShare.select());
+
+btnShareCopy.addEventListener("click", () => {
+  textareaShare.select();
+  navigator.clipboard
+    .writeText(textareaShare.value)
+    .then(() => {
+      btnShareCopy.textContent = "Copied!";
+      setTimeout(() => (btnShareCopy.textContent = "Copy link"), 2000);
+    })
+    .catch(() => {
+      // the link is already selected, leave copying to the user
+      btnShareCopy.textContent = "Select and copy the link above";
+    });
+});
+
+btnShareQr.addEventListener("click", showShareQrCode);
+
+// QR scanning in the import dialog
+btnImportScan.addEventListener("click", startQrScan);
+btnImportScanStop.addEventListener("click", stopQrScan);
+
+// Letterboxd, IMDb and Trakt exports in the import dialog
+btnImportFile.addEventListener("click", () => {
+  inputImportFile.click();
+});
+
+inputImportFile.addEventListener("change", async () => {
+  const [file] = inputImportFile.files;
+  // let the same file be picked again after cancelling the preview
+  inputImportFile.value = "";
+  if (!file) return;
+
+  if (await importFile(file)) {
+    closeImportDialog();
+    renderApp();
+    alert("Watchlist imported successfully!");
+  }
+});
+
+// share links opened while the app is already running
+window.addEventListener("hashchange", handleImportLink);
+
+// library search
+inputLibrarySearch.addEventListener("input", renderSearchResults);
+
+searchResults.addEventListener("click", (e) => {
+  const result = e.target.closest(".search-result");
+  if (result) {
+    openDetailDialog(result.dataset.watchlistId, result.dataset.movieId);
+  }
+});
+
 // watchlist card clicks (event delegation for dynamically generated content)
 contentGrid.addEventListener("click", (e) => {
   const action = e.target.dataset.action;
@@ -691,6 +7931,29 @@ contentGrid.addEventListener("click", (e) => {
     return;
   }
 
+  if (action === "show-qr" && watchlistId) {
+    e.stopPropagation();
+    handleShowQrCode(watchlistId);
+    return;
+  }
+
+  if (action === "export-watchlist" && watchlistId) {
+    e.stopPropagation();
+    openExportDialog(watchlistId);
+    return;
+  }
+
+  if (
+    (action === "archive-watchlist" || action === "unarchive-watchlist") &&
+    watchlistId
+  ) {
+    e.stopPropagation();
+    setWatchlistArchived(watchlistId, action === "archive-watchlist").then(
+      (changed) => changed && renderApp(),
+    );
+    return;
+  }
+
   // handle card click to open detail view
   const card = e.target.closest(".watchlist-card");
   if (card) {
@@ -699,11 +7962,91 @@ contentGrid.addEventListener("click", (e) => {
   }
 });
 
+// remember whether the archived section is expanded across re-renders
+// (toggle doesn't bubble, so listen in the capture phase)
+contentGrid.addEventListener(
+  "toggle",
+  (e) => {
+    if (e.target.classList.contains("archived-section")) {
+      isArchiveOpen = e.target.open;
+    }
+  },
+  true,
+);
+
 // add movie button
 btnAddMovie.addEventListener("click", () => {
   openCreateMovieDialog();
 });
 
+// duplicate title warning in the add movie dialog
+inputMovieTitle.addEventListener("input", () => {
+  updateDuplicateWarning();
+  queueMetadataSearch();
+});
+
+// type-ahead suggestions: arrow keys move through them, Enter picks, Escape closes the list only
+inputMovieTitle.addEventListener("keydown", (e) => {
+  if (metadataResults.length === 0) return;
+
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    // cycle through the results and back to the typed text (-1)
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    const slots = metadataResults.length + 1;
+    metadataActiveIndex =
+      ((metadataActiveIndex + 1 + step + slots) % slots) - 1;
+    renderMetadataSuggestions();
+  } else if (e.key === "Enter" && metadataActiveIndex >= 0) {
+    e.preventDefault();
+    pickMetadataResult(metadataActiveIndex);
+  } else if (e.key === "Escape") {
+    e.stopPropagation();
+    hideMetadataSuggestions();
+  }
+});
+
+// pointerdown keeps focus in the title input while picking
+movieSuggestions.addEventListener("pointerdown", (e) => e.preventDefault());
+movieSuggestions.addEventListener("click", (e) => {
+  const option = e.target.closest("[data-index]");
+  if (option) pickMetadataResult(Number(option.dataset.index));
+});
+
+inputMovieTitle.addEventListener("blur", () => {
+  // let a click on a suggestion land first
+  setTimeout(hideMetadataSuggestions, 150);
+});
+
+// movie or series picker in the add movie dialog
+formCreateMovie.addEventListener("change", (e) => {
+  if (e.target.name !== "item-type") return;
+  updateItemTypeFields();
+  // results are per type, look again for the other kind
+  pickedMetadata = null;
+  setMetadataStatus("");
+  queueMetadataSearch();
+});
+
+// one at a time or paste a list in the add movie dialog
+addModeButtons.forEach((button) => {
+  button.addEventListener("click", () => {
+    setAddMode(button.dataset.addMode);
+    (button.dataset.addMode === "bulk"
+      ? textareaBulkAdd
+      : inputMovieTitle
+    ).focus();
+  });
+});
+
+textareaBulkAdd.addEventListener("input", renderBulkPreview);
+
+// switch between movie list and viewing timeline
+btnToggleTimeline.addEventListener("click", () => {
+  setDetailView(detailView === "timeline" ? "list" : "timeline");
+  renderMovies(currentWatchlistId);
+});
+
 // movie card action buttons (event delegation for dynamically generated content)
 const detailContent = document.getElementById("detail-content");
 detailContent.addEventListener("click", async (e) => {
@@ -718,7 +8061,7 @@ detailContent.addEventListener("click", async (e) => {
   const movie = watchlist.items.find((m) => m.id === movieId);
   if (!movie) return;
 
-  if (action === "toggle-watched") {
+  if (action === "toggle-watched" && movie.type !== "series") {
     // show confirmation
     const confirmed = await showConfirmation(
       "Mark as watched",
@@ -728,13 +8071,168 @@ detailContent.addEventListener("click", async (e) => {
     if (!confirmed) return;
 
     movie.watched = true;
+    movie.watchedAt = new Date().toISOString();
+    autoArchiveIfFinished(watchlist);
+    saveWatchlists(watchlists);
+    renderMovies(currentWatchlistId);
+  } else if (action === "watch-next-episode" || action === "watch-episode") {
+    const episodeId =
+      action === "watch-episode"
+        ? e.target.dataset.episodeId
+        : getSeriesProgress(movie).next?.id;
+    const target = movie.seasons
+      .flatMap((season) =>
+        season.episodes.map((ep) => ({ ...ep, season: season.number })),
+      )
+      .find((ep) => ep.id === episodeId);
+    if (!target || target.watched) return;
+
+    const hasMembers = watchlist.members.length > 0;
+
+    // show confirmation
+    const confirmed = await showConfirmation(
+      "Mark episode as watched",
+      `Mark ${formatEpisodeLabel(target)} of "${movie.title}" as watched${
+        hasMembers ? " by everyone" : ""
+      }?`,
+    );
+
+    if (!confirmed) return;
+
+    if (hasMembers) {
+      // watched together, each member gets the episode
+      watchlist.members.forEach((member) =>
+        markMemberEpisodeWatched(
+          watchlist,
+          movie,
+          member.id,
+          getEpisodeKey(target),
+        ),
+      );
+    } else {
+      markEpisodeWatched(movie, episodeId);
+    }
+    autoArchiveIfFinished(watchlist);
+    saveWatchlists(watchlists);
+    renderMovies(currentWatchlistId);
+  } else if (action === "add-season") {
+    openAddSeasonDialog(movieId);
+  } else if (action === "move-up" || action === "move-down") {
+    moveMovie(movieId, action === "move-up" ? -1 : 1, action);
+  } else if (action === "add-watched-date") {
+    openWatchedDateDialog(movie);
+  } else if (action === "member-watched") {
+    const member = watchlist.members.find(
+      (m) => m.id === e.target.dataset.memberId,
+    );
+    if (!member || getMemberState(movie, member.id).watched) return;
+
+    // show confirmation
+    const confirmed = await showConfirmation(
+      "Mark as watched",
+      `Mark "${movie.title}" as watched by ${member.name}?`,
+    );
+
+    if (!confirmed) return;
+
+    markMemberWatched(watchlist, movie, member.id);
+    autoArchiveIfFinished(watchlist);
+    saveWatchlists(watchlists);
+    renderMovies(currentWatchlistId);
+  } else if (action === "member-next-episode") {
+    const member = watchlist.members.find(
+      (m) => m.id === e.target.dataset.memberId,
+    );
+    const next = member && getMemberSeriesProgress(movie, member.id).next;
+    if (!next) return;
+
+    // show confirmation
+    const confirmed = await showConfirmation(
+      "Mark episode as watched",
+      `Mark ${formatEpisodeLabel(next)} of "${movie.title}" as watched by ${member.name}?`,
+    );
+
+    if (!confirmed) return;
+
+    markMemberEpisodeWatched(watchlist, movie, member.id, getEpisodeKey(next));
+    autoArchiveIfFinished(watchlist);
     saveWatchlists(watchlists);
     renderMovies(currentWatchlistId);
   } else if (action === "add-review" || action === "edit-review") {
-    openReviewDialog(movieId, movie.review || "");
+    openReviewDialog(movie, watchlist.members);
+  } else if (action === "reveal-spoiler") {
+    // only for this render, the next one blurs it again
+    e.target.classList.add("movie-card__spoiler--revealed");
+    e.target.removeAttribute("aria-label");
   }
 });
 
+// detail toolbar: search, filter chips and sort
+inputDetailSearch.addEventListener("input", () => {
+  updateViewState({ query: inputDetailSearch.value });
+});
+
+detailToolbar.addEventListener("click", (e) => {
+  const filter = e.target.dataset.filter;
+  if (filter) updateViewState({ filter });
+});
+
+selectDetailSort.addEventListener("change", () => {
+  updateViewState({ sort: selectDetailSort.value });
+});
+
+// drag handle reordering (pointer events cover mouse, touch and pen alike)
+detailContent.addEventListener("pointerdown", (e) => {
+  const handle = e.target.closest('[data-action="drag-handle"]');
+  if (!handle || detailView !== "list") return;
+
+  e.preventDefault();
+  handle.setPointerCapture(e.pointerId);
+  const card = handle.closest(".movie-card");
+  card.classList.add("movie-card--dragging");
+  dragState = {
+    card,
+    pointerId: e.pointerId,
+    startIds: [...detailContent.querySelectorAll(".movie-card")].map(
+      (el) => el.dataset.movieId,
+    ),
+  };
+});
+
+detailContent.addEventListener("pointermove", (e) => {
+  if (!dragState || e.pointerId !== dragState.pointerId) return;
+  updateDrag(e.clientY);
+});
+
+detailContent.addEventListener("pointerup", endDrag);
+detailContent.addEventListener("pointercancel", cancelDrag);
+
+// keyboard alternative: arrow keys on a focused drag handle
+detailContent.addEventListener("keydown", (e) => {
+  if (e.target.dataset.action !== "drag-handle") return;
+  if (e.key !== "ArrowUp" && e.key !== "ArrowDown") return;
+
+  e.preventDefault();
+  moveMovie(
+    e.target.dataset.movieId,
+    e.key === "ArrowUp" ? -1 : 1,
+    "drag-handle",
+  );
+});
+
+// remember which series have their episode list expanded across re-renders
+// (toggle doesn't bubble, so listen in the capture phase)
+detailContent.addEventListener(
+  "toggle",
+  (e) => {
+    const seriesId = e.target.dataset.seriesId;
+    if (!seriesId) return;
+    if (e.target.open) openSeriesIds.add(seriesId);
+    else openSeriesIds.delete(seriesId);
+  },
+  true,
+);
+
 // form submit handlers
 
 formReview.addEventListener("submit", async (e) => {
@@ -748,28 +8246,126 @@ formReview.addEventListener("submit", async (e) => {
   const movie = watchlist.items.find((m) => m.id === currentMovieId);
   if (!movie) return;
 
+  const member = watchlist.members.find(
+    (m) => m.id === selectReviewMember.value,
+  );
+  // with members every review belongs to one of them
+  const target = member ? getMemberState(movie, member.id) : movie;
+  const rating = Number(inputReviewRating.value);
+
   // determine if this is an add or edit
-  const isEdit = !!movie.review;
+  const isEdit = hasReviewContent(target);
   const action = isEdit ? "Edit" : "Add";
 
   // show confirmation
   const confirmed = await showConfirmation(
     `${action} review`,
-    `${action} review for "${movie.title}"?`,
+    `${action} ${member ? `${member.name}'s review` : "review"} for "${movie.title}"?`,
   );
 
   if (!confirmed) return;
 
-  movie.review = review;
+  updateReview(target, {
+    review,
+    rating: rating > 0 ? rating : null, // the slider's 0 means no rating
+    rewatch: checkReviewRewatch.checked,
+    spoilers: checkReviewSpoilers.checked,
+  });
+  if (member) movie.memberStates[member.id] = target;
   saveWatchlists(watchlists);
   closeReviewDialog();
   renderMovies(currentWatchlistId);
 });
 
+formWatchedDate.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const month = inputWatchedDate.value;
+
+  // some browsers render month inputs as plain text, so check the format
+  if (!/^\d{4}-\d{2}$/.test(month) || month > inputWatchedDate.max) {
+    alert("Please enter a past month as YYYY-MM.");
+    return;
+  }
+
+  const watchlists = loadWatchlists();
+  const watchlist = watchlists.find((wl) => wl.id === currentWatchlistId);
+  if (!watchlist) return;
+
+  const movie = watchlist.items.find((m) => m.id === currentMovieId);
+  // dates can only be backfilled once, never changed
+  if (!movie || !movie.watched || movie.watchedAt) return;
+
+  const [year, monthIndex] = month.split("-").map(Number);
+  // mid-month keeps the estimate in the same month across time zones
+  const watchedAt = new Date(year, monthIndex - 1, 15);
+
+  // show confirmation
+  const confirmed = await showConfirmation(
+    "Add watch date",
+    `Record "${movie.title}" as watched around ${watchedAt.toLocaleDateString(undefined, { month: "long", year: "numeric" })}? This can't be changed later.`,
+  );
+
+  if (!confirmed) return;
+
+  movie.watchedAt = watchedAt.toISOString();
+  movie.watchedAtEstimated = true;
+  // members marked before dates were kept get the same estimate
+  watchlist.members.forEach((member) => {
+    const state = movie.memberStates[member.id];
+    if (state?.watched && !state.watchedAt) {
+      state.watchedAt = movie.watchedAt;
+      state.watchedAtEstimated = true;
+    }
+  });
+  saveWatchlists(watchlists);
+  closeWatchedDateDialog();
+  renderMovies(currentWatchlistId);
+});
+
+formAddSeason.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const count = Number(inputSeasonEpisodes.value);
+
+  if (
+    !Number.isInteger(count) ||
+    count < 1 ||
+    count > MAX_EPISODES_PER_SEASON
+  ) {
+    alert(
+      `Please enter a number of episodes between 1 and ${MAX_EPISODES_PER_SEASON}.`,
+    );
+    return;
+  }
+
+  const watchlists = loadWatchlists();
+  const watchlist = watchlists.find((wl) => wl.id === currentWatchlistId);
+  if (!watchlist) return;
+
+  const series = watchlist.items.find((m) => m.id === currentMovieId);
+  if (!series || series.type !== "series") return;
+
+  const seasonNumber = series.seasons.length + 1;
+
+  // show confirmation
+  const confirmed = await showConfirmation(
+    "Add season",
+    `Add season ${seasonNumber} with ${count} episode(s) to "${series.title}"?`,
+  );
+
+  if (!confirmed) return;
+
+  series.seasons.push(...createSeasons([count], seasonNumber));
+  syncSeriesWatched(series);
+  saveWatchlists(watchlists);
+  closeAddSeasonDialog();
+  renderMovies(currentWatchlistId);
+});
+
 formCreateMovie.addEventListener("submit", async (e) => {
   e.preventDefault();
   const posterUrl = inputMoviePosterUrl.value.trim();
   const title = inputMovieTitle.value.trim();
+  const type = formCreateMovie.elements["item-type"].value;
 
   if (!posterUrl || !title) return;
 
@@ -779,10 +8375,26 @@ formCreateMovie.addEventListener("submit", async (e) => {
     return;
   }
 
+  const episodeCounts =
+    type === "series" ? parseEpisodeCounts(inputSeriesEpisodes.value) : null;
+
+  if (type === "series" && !episodeCounts) {
+    alert(
+      "Please enter the number of episodes in each season, separated by commas (e.g. 10, 10, 8).",
+    );
+    return;
+  }
+
+  const duplicateCount = findDuplicateTitles(title).length;
+  const duplicateNote =
+    duplicateCount > 0
+      ? ` It's already in your library ${duplicateCount} time(s).`
+      : "";
+
   // show confirmation
   const confirmed = await showConfirmation(
-    "Add movie",
-    `Add "${title}" to this watchlist?`,
+    type === "series" ? "Add series" : "Add movie",
+    `Add "${title}" to this watchlist?${duplicateNote}`,
   );
 
   if (!confirmed) return;
@@ -791,66 +8403,146 @@ formCreateMovie.addEventListener("submit", async (e) => {
   const watchlist = watchlists.find((wl) => wl.id === currentWatchlistId);
   if (!watchlist) return;
 
-  const movie = {
-    id: generateId(),
-    title,
-    posterUrl,
-    watched: false,
-    order: watchlist.items.length, // maintain insertion order
-    review: "",
-  };
+  // only trust looked up details while the title still matches
+  const metadata = pickedMetadata?.title === title ? pickedMetadata : {};
+  const movie = createMovie(
+    {
+      type,
+      title,
+      posterUrl,
+      year: metadata.year,
+      runtime: metadata.runtime,
+      episodeCounts,
+    },
+    watchlist.items.length, // maintain insertion order
+  );
 
   watchlist.items.push(movie);
   saveWatchlists(watchlists);
   closeCreateMovieDialog();
   renderMovies(currentWatchlistId);
+  cachePoster(posterUrl);
+});
+
+formBulkAdd.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const rows = renderBulkPreview();
+  const addCount = rows.filter((row) => row.isValid).length;
+  if (addCount === 0) return;
+
+  const skipCount = rows.length - addCount;
+  const skipNote = skipCount > 0 ? ` ${skipCount} row(s) will be skipped.` : "";
+
+  // one confirmation for the whole list
+  const confirmed = await showConfirmation(
+    "Add movies",
+    `Add ${addCount} movie(s) to this watchlist?${skipNote}`,
+  );
+
+  if (!confirmed) return;
+
+  addBulkRows(currentWatchlistId, rows);
+  closeCreateMovieDialog();
+  renderMovies(currentWatchlistId);
+  cachePosters(
+    new Set(
+      rows
+        .filter((row) => row.isValid && row.posterUrl)
+        .map((row) => row.posterUrl),
+    ),
+  );
 });
 
 formCreate.addEventListener("submit", async (e) => {
   e.preventDefault();
   const title = inputTitle.value.trim();
-  if (!title) return;
+  const presentation = readPresentationFields(formCreate);
+  if (!title || !isValidPresentation(presentation)) return;
+  const template = findTemplate(selectCreateTemplate.value);
 
   // show confirmation
   const confirmed = await showConfirmation(
     "Create watchlist",
-    `Create new watchlist "${title}"?`,
+    template
+      ? `Create new watchlist "${title}" with the ${template.items.length} items of "${template.title}"?`
+      : `Create new watchlist "${title}"?`,
   );
 
   if (!confirmed) return;
 
   const watchlists = loadWatchlists();
-  const icons = ["🍿"];
-  const icon = icons[watchlists.length % icons.length];
 
-  watchlists.push({
-    id: generateId(),
-    title,
-    icon,
-    items: [],
-  });
+  watchlists.push(
+    template
+      ? createWatchlistFromTemplate(template, title, presentation)
+      : {
+          id: generateId(),
+          shareId: generateShareId(),
+          title,
+          ...presentation,
+          orderUpdatedAt: null,
+          members: [],
+          archivedAt: null,
+          items: [],
+        },
+  );
 
   saveWatchlists(watchlists);
   closeDialog();
   renderApp();
+  if (template) cacheMissingPosters();
+});
+
+// only presentation changes, so no confirmation
+formCustomize.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const presentation = readPresentationFields(formCustomize);
+  if (!isValidPresentation(presentation)) return;
+
+  const watchlists = loadWatchlists();
+  const watchlist = watchlists.find((wl) => wl.id === currentWatchlistId);
+  if (!watchlist) return;
+
+  Object.assign(watchlist, presentation);
+  saveWatchlists(watchlists);
+  closeCustomizeDialog();
 });
 
-formImport.addEventListener("submit", async (e) => {
+formImport.addEventListener("submit", (e) => {
   e.preventDefault();
   const importData = textareaImport.value.trim();
 
   if (!importData) return;
 
-  const success = await importWatchlist(importData);
+  submitImport(importData);
+});
+
+/**
+ * Import pasted or scanned text and close the dialog on success
+ */
+async function submitImport(importData) {
+  const result = await importWatchlist(importData);
 
-  if (success) {
+  if (result) {
     closeImportDialog();
     renderApp();
-    alert("Watchlist imported successfully!");
+    alert(
+      result === "merged"
+        ? "Watchlist updated successfully!"
+        : "Watchlist imported successfully!",
+    );
+    cacheMissingPosters();
   }
-});
+}
 
 // APP INITIALIZATION //
 
+await initializeStorage();
+await loadPosterCache();
 initializeSettings();
 renderApp();
+handleImportLink();
+initializeQrScanner();
+loadSyncPairings().forEach(startSyncSession);
+cacheMissingPosters();
+registerServiceWorker();
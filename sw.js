@@ -0,0 +1,139 @@
+/**
+ * Watchlist+ service worker
+ *
+ * STRATEGY:
+ * - The app shell (HTML, CSS, JS, fonts, icons) is precached on install
+ * - Shell requests are served cache-first, so the app opens without a connection
+ * - Ionicons are loaded from unpkg and cached the first time they are seen
+ * - Navigations that can't be answered at all fall back to offline.html
+ * - Poster images are not handled here, the app keeps its own copies in IndexedDB
+ *
+ * UPDATES:
+ * - Cache names carry VERSION, keep it in sync with @version in js/app.js
+ * - Changing it is what makes browsers install a new worker after a deploy, so bump it
+ *   with every change to a shipped file or installed copies keep serving the old shell
+ * - The new worker waits until the app asks it to take over (see the update prompt in app.js)
+ * - Old caches are deleted once the new worker activates
+ */
+
+const VERSION = "1.27.10";
+const SHELL_CACHE = `watchlistplus-shell-${VERSION}`;
+const RUNTIME_CACHE = `watchlistplus-runtime-${VERSION}`;
+const OFFLINE_PAGE = "./offline.html";
+
+const IONICONS_ORIGIN = "https://unpkg.com";
+const IONICONS_ENTRY = `${IONICONS_ORIGIN}/ionicons@7.1.0/dist/ionicons/ionicons.esm.js`;
+
+const SHELL_ASSETS = [
+  "./",
+  "./index.html",
+  OFFLINE_PAGE,
+  "./css/styles.css",
+  "./js/app.js",
+  "./js/vendor/jsQR.js",
+  "./assets/templates/franchises.json",
+  "./assets/fonts/outfit-v15-latin-regular.woff2",
+  "./assets/fonts/outfit-v15-latin-500.woff2",
+  "./assets/fonts/outfit-v15-latin-700.woff2",
+  "./assets/favicons/site.webmanifest",
+  "./assets/favicons/favicon-16x16.png",
+  "./assets/favicons/favicon-32x32.png",
+  "./assets/favicons/apple-touch-icon.png",
+  "./assets/favicons/android-chrome-192x192.png",
+  "./assets/favicons/android-chrome-512x512.png",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const shell = await caches.open(SHELL_CACHE);
+      // bypass the HTTP cache so a new version never precaches stale files
+      await shell.addAll(
+        SHELL_ASSETS.map((url) => new Request(url, { cache: "reload" })),
+      );
+
+      // icons are nice to have offline but must not block installing
+      try {
+        const runtime = await caches.open(RUNTIME_CACHE);
+        await runtime.add(new Request(IONICONS_ENTRY, { mode: "cors" }));
+      } catch (error) {
+        console.warn("Failed to precache Ionicons:", error);
+      }
+    })(),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keys = await caches.keys();
+      await Promise.all(
+        keys
+          .filter(
+            (key) =>
+              key.startsWith("watchlistplus-") &&
+              key !== SHELL_CACHE &&
+              key !== RUNTIME_CACHE,
+          )
+          .map((key) => caches.delete(key)),
+      );
+      await self.clients.claim();
+    })(),
+  );
+});
+
+// sent by the update prompt once the user chooses to reload
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(handleNavigation(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.origin === IONICONS_ORIGIN) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+/**
+ * Serve the cached shell for any page load, then the network, then the offline page
+ */
+async function handleNavigation(request) {
+  const cached = await caches.match("./index.html", { ignoreSearch: true });
+  if (cached) return cached;
+
+  try {
+    return await fetch(request);
+  } catch {
+    return caches.match(OFFLINE_PAGE);
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  return cached ?? fetch(request);
+}
+
+/**
+ * Answer from the cache right away and refresh the entry in the background
+ */
+async function staleWhileRevalidate(request) {
+  const runtime = await caches.open(RUNTIME_CACHE);
+  const cached = await runtime.match(request);
+
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok) runtime.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+
+  return cached ?? refresh;
+}
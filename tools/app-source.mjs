@@ -0,0 +1,81 @@
+/**
+ * Load functions from js/app.js for tests
+ *
+ * app.js is one browser script that sets up the page as it loads, so it can't
+ * be imported. Instead its top-level functions, constants and state are read
+ * out of the source, and the ones asked for are evaluated together with
+ * everything they refer to. Declarations that touch the page are left out.
+ *
+ * USAGE:
+ *   const { parseBackup } = await loadAppFunctions(["parseBackup"]);
+ */
+
+import { readFile } from "node:fs/promises";
+
+const DECLARATION = /^(?:async function|function|const|let) ([\w$]+)/;
+
+/**
+ * Every top-level declaration as name -> source, in source order
+ * A function ends at the first unindented "}", a constant on its own line if
+ * that ends with ";", otherwise at the next unindented closing bracket
+ */
+function readDeclarations(source) {
+  const lines = source.split("\n");
+  const declarations = new Map();
+
+  for (let start = 0; start < lines.length; start++) {
+    const match = lines[start].match(DECLARATION);
+    if (!match) continue;
+
+    const isFunction = /^(?:async )?function/.test(lines[start]);
+    const isEnd = (line) =>
+      isFunction ? line === "}" : /^[}\])].*;$/.test(line);
+    let end = start;
+    if (isFunction || !/;\s*(\/\/.*)?$/.test(lines[start])) {
+      while (end < lines.length - 1 && !isEnd(lines[end])) end++;
+    }
+    declarations.set(match[1], lines.slice(start, end + 1).join("\n"));
+    start = end;
+  }
+  return declarations;
+}
+
+/**
+ * Evaluate the named functions with everything they depend on
+ * Resolves to an object with the named functions
+ */
+export async function loadAppFunctions(names) {
+  const source = await readFile(
+    new URL("../js/app.js", import.meta.url),
+    "utf8",
+  );
+  const declarations = readDeclarations(source);
+  const included = new Set();
+  const pending = [...names];
+
+  while (pending.length > 0) {
+    const name = pending.pop();
+    const code = declarations.get(name);
+    if (!code) throw new Error(`${name} not found in app.js`);
+    if (included.has(name)) continue;
+    included.add(name);
+
+    for (const [identifier] of code.matchAll(/[A-Za-z_$][\w$]*/g)) {
+      const dependency = declarations.get(identifier);
+      if (
+        dependency &&
+        !included.has(identifier) &&
+        !dependency.includes("document.")
+      ) {
+        pending.push(identifier);
+      }
+    }
+  }
+
+  const body = [...declarations.keys()]
+    .filter((name) => included.has(name))
+    .map((name) => declarations.get(name));
+  return new Function(
+    [...body, `return { ${names.join(", ")} };`].join("\n"),
+  )();
+}
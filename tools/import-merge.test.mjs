@@ -0,0 +1,58 @@
+/**
+ * Tests for merging an imported watchlist into a local one
+ *
+ * USAGE:
+ *   node --test tools/     (Node 18+, no install needed)
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadAppFunctions } from "./app-source.mjs";
+
+const { diffImportedWatchlist } = await loadAppFunctions([
+  "diffImportedWatchlist",
+]);
+
+function createItem(id, shareId, title, order) {
+  return { id, shareId, type: "movie", title, order };
+}
+
+test("keeps same-title items with different share IDs apart", () => {
+  const local = { items: [createItem("local", "a", "Dune", 0)] };
+  const incoming = { items: [createItem("incoming", "b", "Dune", 0)] };
+
+  const diff = diffImportedWatchlist(local, incoming);
+
+  assert.equal(diff.matches.size, 0);
+  assert.deepEqual(
+    diff.added.map((item) => item.id),
+    ["incoming"],
+  );
+  assert.deepEqual(
+    diff.localOnly.map((item) => item.id),
+    ["local"],
+  );
+});
+
+test("matches on the share ID before the title", () => {
+  const local = {
+    items: [
+      createItem("local-1984", "a", "Dune", 0),
+      createItem("local-2021", "b", "Dune", 1),
+    ],
+  };
+  const incoming = { items: [createItem("incoming", "b", "Dune", 0)] };
+
+  const diff = diffImportedWatchlist(local, incoming);
+
+  assert.equal(diff.matches.get(incoming.items[0])?.id, "local-2021");
+});
+
+test("falls back to the title when a share ID is missing", () => {
+  const local = { items: [createItem("local", undefined, "Amélie", 0)] };
+  const incoming = { items: [createItem("incoming", "a", "amelie", 0)] };
+
+  const diff = diffImportedWatchlist(local, incoming);
+
+  assert.equal(diff.matches.get(incoming.items[0])?.id, "local");
+});
@@ -0,0 +1,159 @@
+/**
+ * Tests for upgrading stored data to the current schema
+ *
+ * USAGE:
+ *   node --test tools/     (Node 18+, no install needed)
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadAppFunctions } from "./app-source.mjs";
+
+const { migrateWatchlist, isValidTemplate, parseBackup } =
+  await loadAppFunctions([
+    "migrateWatchlist",
+    "isValidTemplate",
+    "parseBackup",
+  ]);
+
+const SAVED_AT = "2024-01-01T00:00:00.000Z";
+
+function createItem(fields) {
+  return {
+    id: `item-${fields.shareId}`,
+    posterUrl: "",
+    year: null,
+    runtime: null,
+    watched: false,
+    watchedAt: null,
+    watchedAtEstimated: false,
+    addedAt: SAVED_AT,
+    review: "",
+    reviewUpdatedAt: null,
+    rating: null,
+    rewatch: false,
+    spoilers: false,
+    reviewHistory: [],
+    memberStates: {},
+    ...fields,
+  };
+}
+
+function createEpisodes(watched) {
+  return watched.map((isWatched, index) => ({
+    id: `episode-${index + 1}`,
+    number: index + 1,
+    watched: isWatched,
+    watchedAt: isWatched ? SAVED_AT : null,
+  }));
+}
+
+// as saved by 1.26, the last release on schema 12
+const v12Template = {
+  id: "template-1",
+  title: "MCU",
+  icon: "🦸",
+  color: null,
+  description: "",
+  savedAt: SAVED_AT,
+  items: [
+    createItem({ shareId: "a", type: "movie", title: "Iron Man", order: 0 }),
+    createItem({
+      shareId: "b",
+      type: "series",
+      title: "Loki",
+      order: 1,
+      seasons: [{ number: 1, episodes: createEpisodes([false, false]) }],
+    }),
+  ],
+};
+
+const v12Watchlist = {
+  id: "watchlist-1",
+  shareId: "list",
+  title: "Together",
+  icon: "🍿",
+  color: null,
+  description: "",
+  orderUpdatedAt: null,
+  archivedAt: null,
+  members: [
+    { id: "sam", name: "Sam" },
+    { id: "alex", name: "Alex" },
+  ],
+  items: [
+    createItem({
+      shareId: "c",
+      type: "movie",
+      title: "Alien",
+      order: 0,
+      memberStates: {
+        sam: {
+          watched: true,
+          watchedAt: SAVED_AT,
+          watchedAtEstimated: false,
+          review: "",
+          reviewUpdatedAt: null,
+          rating: null,
+          rewatch: false,
+          spoilers: false,
+          reviewHistory: [],
+        },
+      },
+    }),
+    createItem({
+      shareId: "d",
+      type: "series",
+      title: "Severance",
+      order: 1,
+      seasons: [{ number: 1, episodes: createEpisodes([true, false]) }],
+    }),
+  ],
+};
+
+test("upgrades a v12 template, which has no members", () => {
+  const template = migrateWatchlist(structuredClone(v12Template), 12);
+
+  assert.ok(isValidTemplate(template));
+  assert.deepEqual(
+    template.items.map((item) => item.memberStates),
+    [{}, {}],
+  );
+});
+
+test("gives every member of a v12 list the series episodes watched so far", () => {
+  const [alien, severance] = migrateWatchlist(
+    structuredClone(v12Watchlist),
+    12,
+  ).items;
+
+  assert.deepEqual(Object.keys(alien.memberStates), ["sam"]);
+  assert.deepEqual(alien.memberStates.sam.watchedEpisodes, {});
+  assert.deepEqual(Object.keys(severance.memberStates), ["sam", "alex"]);
+  assert.deepEqual(severance.memberStates.alex.watchedEpisodes, {
+    S1E1: SAVED_AT,
+  });
+  assert.equal(severance.memberStates.alex.watched, false);
+});
+
+test("restores a v12 backup with templates", () => {
+  const backup = parseBackup({
+    format: "watchlistplus-backup",
+    backupVersion: 1,
+    schemaVersion: 12,
+    createdAt: SAVED_AT,
+    settings: { confirmationsEnabled: true },
+    templates: [structuredClone(v12Template)],
+    watchlists: [structuredClone(v12Watchlist)],
+  });
+
+  assert.ok(backup, "backup was rejected");
+  assert.deepEqual(
+    backup.templates.map((template) => template.title),
+    ["MCU"],
+  );
+  assert.deepEqual(
+    backup.watchlists.map((watchlist) => watchlist.title),
+    ["Together"],
+  );
+});
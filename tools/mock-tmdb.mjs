@@ -0,0 +1,205 @@
+/**
+ * Watchlist+ mock metadata server
+ *
+ * A stand-in for the TMDB v3 endpoints the movie lookup uses, with no
+ * dependencies beyond Node itself. Answers from a few fixed movies and series,
+ * so lookups can be tried and tested without a real API key or a network.
+ *
+ * USAGE:
+ *   node tools/mock-tmdb.mjs [port]     (defaults to 8788)
+ * Then under Settings → Movie lookup enter the API key "mock-api-key" (or the
+ * bearer token below), http://localhost:<port> as the server and
+ * http://localhost:<port>/images as the image server.
+ *
+ * ENDPOINTS (JSON, shaped like TMDB's):
+ *   GET /search/movie?query=   { results: [{ id, title, release_date, poster_path }] }
+ *   GET /search/tv?query=      { results: [{ id, name, first_air_date, poster_path }] }
+ *   GET /movie/:id             { id, title, release_date, runtime, poster_path }
+ *   GET /tv/:id                { id, name, first_air_date, episode_run_time, poster_path, seasons }
+ *   GET /images/*              a placeholder poster
+ * Requests need api_key=MOCK_API_KEY in the query or "Authorization: Bearer
+ * MOCK_TOKEN", anything else gets a 401. Unknown IDs get a 404.
+ */
+
+import { createServer } from "node:http";
+import { pathToFileURL } from "node:url";
+
+export const MOCK_API_KEY = "mock-api-key";
+export const MOCK_TOKEN = "eyJtb2NrIjoidG1kYiJ9.mock-token"; // "eyJ" marks a v4 token
+const DEFAULT_PORT = 8788;
+
+const MOVIES = [
+  {
+    id: 1726,
+    title: "Iron Man",
+    release_date: "2008-04-30",
+    runtime: 126,
+    poster_path: "/iron-man.jpg",
+  },
+  {
+    id: 10138,
+    title: "Iron Man 2",
+    release_date: "2010-04-28",
+    runtime: 124,
+    poster_path: null,
+  },
+  {
+    id: 68721,
+    title: "Iron Man 3",
+    release_date: "2013-04-18",
+    runtime: 130,
+    // compatible servers may answer with full poster URLs
+    poster_path: "https://posters.example.com/iron-man-3.jpg",
+  },
+];
+
+const SERIES = [
+  {
+    id: 1396,
+    name: "Breaking Bad",
+    first_air_date: "2008-01-20",
+    episode_run_time: [47],
+    poster_path: "/breaking-bad.jpg",
+    // season 0 holds specials, like on TMDB
+    seasons: [
+      { season_number: 0, episode_count: 9 },
+      { season_number: 1, episode_count: 7 },
+      { season_number: 2, episode_count: 13 },
+      { season_number: 3, episode_count: 13 },
+      { season_number: 4, episode_count: 13 },
+      { season_number: 5, episode_count: 16 },
+    ],
+  },
+  {
+    id: 60059,
+    name: "Better Call Saul",
+    first_air_date: "2015-02-08",
+    episode_run_time: [],
+    poster_path: "/better-call-saul.jpg",
+    seasons: [
+      { season_number: 1, episode_count: 10 },
+      { season_number: 2, episode_count: 10 },
+      { season_number: 3, episode_count: 10 },
+      { season_number: 4, episode_count: 10 },
+      { season_number: 5, episode_count: 10 },
+      { season_number: 6, episode_count: 13 },
+    ],
+  },
+];
+
+const PLACEHOLDER_POSTER = `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="300">
+  <rect width="200" height="300" fill="#444"/>
+  <text x="100" y="160" fill="#ddd" font-family="sans-serif" font-size="24" text-anchor="middle">Mock</text>
+</svg>`;
+
+/**
+ * Create the server without listening, so tests can pick a free port
+ */
+export function createMockTmdbServer() {
+  return createServer((request, response) => {
+    const url = new URL(request.url, "http://localhost");
+
+    // the app runs on another origin, and the bearer token needs a preflight
+    response.setHeader("Access-Control-Allow-Origin", "*");
+    response.setHeader("Access-Control-Allow-Headers", "Authorization");
+    if (request.method === "OPTIONS") {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+
+    if (url.pathname.startsWith("/images/")) {
+      response.writeHead(200, { "Content-Type": "image/svg+xml" });
+      response.end(PLACEHOLDER_POSTER);
+      return;
+    }
+
+    if (!isAuthorized(request, url)) {
+      sendJson(response, 401, {
+        success: false,
+        status_code: 7,
+        status_message: "Invalid API key: You must be granted a valid key.",
+      });
+      return;
+    }
+
+    const [, kind, id] = url.pathname.split("/");
+    const query = (url.searchParams.get("query") ?? "").toLowerCase();
+
+    if (kind === "search" && (id === "movie" || id === "tv")) {
+      const entries = id === "movie" ? MOVIES : SERIES;
+      const results = entries
+        .filter((entry) =>
+          (entry.title ?? entry.name).toLowerCase().includes(query),
+        )
+        .map((entry) => toSearchResult(entry, id));
+      sendJson(response, 200, {
+        page: 1,
+        results,
+        total_results: results.length,
+      });
+      return;
+    }
+
+    const entry =
+      kind === "movie" || kind === "tv"
+        ? (kind === "movie" ? MOVIES : SERIES).find(
+            (candidate) => String(candidate.id) === id,
+          )
+        : null;
+    if (!entry) {
+      sendJson(response, 404, {
+        success: false,
+        status_code: 34,
+        status_message: "The resource you requested could not be found.",
+      });
+      return;
+    }
+
+    sendJson(response, 200, entry);
+  });
+}
+
+/**
+ * v3 keys come as a query parameter, v4 tokens only as a bearer token
+ */
+function isAuthorized(request, url) {
+  return (
+    url.searchParams.get("api_key") === MOCK_API_KEY ||
+    request.headers.authorization === `Bearer ${MOCK_TOKEN}`
+  );
+}
+
+/**
+ * Search results only carry a summary, like TMDB's
+ */
+function toSearchResult(entry, kind) {
+  return kind === "movie"
+    ? {
+        id: entry.id,
+        title: entry.title,
+        release_date: entry.release_date,
+        poster_path: entry.poster_path,
+      }
+    : {
+        id: entry.id,
+        name: entry.name,
+        first_air_date: entry.first_air_date,
+        poster_path: entry.poster_path,
+      };
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+}
+
+// only listen when run directly, tests start their own
+if (import.meta.url === pathToFileURL(process.argv[1] ?? "").href) {
+  const port = Number(process.argv[2]) || DEFAULT_PORT;
+  createMockTmdbServer().listen(port, () => {
+    console.log(`Watchlist+ mock metadata server on http://localhost:${port}`);
+    console.log(`API key: ${MOCK_API_KEY} (or bearer token ${MOCK_TOKEN})`);
+    console.log(`Image server: http://localhost:${port}/images`);
+  });
+}
@@ -0,0 +1,165 @@
+/**
+ * Tests for the TMDB metadata provider, run against the mock server
+ *
+ * USAGE:
+ *   node --test tools/     (Node 18+, no install needed)
+ *
+ * js/app.js is one browser script that sets up the page as it loads, so the
+ * provider and the helpers it calls are read out of it and evaluated on their own.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { once } from "node:events";
+import {
+  createMockTmdbServer,
+  MOCK_API_KEY,
+  MOCK_TOKEN,
+} from "./mock-tmdb.mjs";
+
+const IMAGE_BASE_URL = "https://image.example.com/t/p/w342";
+
+const source = await readFile(new URL("../js/app.js", import.meta.url), "utf8");
+
+function getFunctionSource(name) {
+  const start = source.indexOf(`\nfunction ${name}(`);
+  assert.notEqual(start, -1, `function ${name} not found in app.js`);
+  return source.slice(start, source.indexOf("\n}\n", start) + 3);
+}
+
+function getConstantSource(name) {
+  const match = source.match(new RegExp(`^const ${name} = .+;$`, "m"));
+  assert.ok(match, `constant ${name} not found in app.js`);
+  return match[0];
+}
+
+const createTmdbProvider = new Function(
+  [
+    getConstantSource("METADATA_MAX_RESULTS"),
+    getConstantSource("MAX_EPISODES_PER_SEASON"),
+    getFunctionSource("validatePosterUrl"),
+    getFunctionSource("isValidEpisodeCounts"),
+    getFunctionSource("createTmdbProvider"),
+    "return createTmdbProvider;",
+  ].join("\n"),
+)();
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createMockTmdbServer();
+  server.listen(0);
+  await once(server, "listening");
+  baseUrl = `http://localhost:${server.address().port}/`; // trailing slash is trimmed
+});
+
+after(() => server.close());
+
+function createProvider(metadataApiKey) {
+  return createTmdbProvider({
+    metadataApiKey,
+    metadataBaseUrl: baseUrl,
+    metadataImageBaseUrl: `${IMAGE_BASE_URL}/`,
+  });
+}
+
+test("searches movies with an API key", async () => {
+  const results = await createProvider(MOCK_API_KEY).search("iron", "movie");
+
+  assert.deepEqual(results, [
+    {
+      id: 1726,
+      type: "movie",
+      title: "Iron Man",
+      year: 2008,
+      posterUrl: `${IMAGE_BASE_URL}/iron-man.jpg`,
+    },
+    {
+      id: 10138,
+      type: "movie",
+      title: "Iron Man 2",
+      year: 2010,
+      posterUrl: "",
+    },
+    {
+      id: 68721,
+      type: "movie",
+      title: "Iron Man 3",
+      year: 2013,
+      posterUrl: "https://posters.example.com/iron-man-3.jpg",
+    },
+  ]);
+});
+
+test("gets movie details with an API key", async () => {
+  const provider = createProvider(MOCK_API_KEY);
+  const [result] = await provider.search("iron man 2", "movie");
+
+  assert.deepEqual(await provider.getDetails(result), {
+    title: "Iron Man 2",
+    year: 2010,
+    runtime: 124,
+    posterUrl: "",
+    episodeCounts: null,
+  });
+});
+
+test("searches series with a bearer token", async () => {
+  const results = await createProvider(MOCK_TOKEN).search("breaking", "series");
+
+  assert.deepEqual(results, [
+    {
+      id: 1396,
+      type: "series",
+      title: "Breaking Bad",
+      year: 2008,
+      posterUrl: `${IMAGE_BASE_URL}/breaking-bad.jpg`,
+    },
+  ]);
+});
+
+test("gets series details with a bearer token, without specials", async () => {
+  const provider = createProvider(MOCK_TOKEN);
+  const [breakingBad] = await provider.search("breaking", "series");
+  const [saul] = await provider.search("saul", "series");
+
+  assert.deepEqual(await provider.getDetails(breakingBad), {
+    title: "Breaking Bad",
+    year: 2008,
+    runtime: 47,
+    posterUrl: `${IMAGE_BASE_URL}/breaking-bad.jpg`,
+    episodeCounts: [7, 13, 13, 13, 16],
+  });
+  assert.equal((await provider.getDetails(saul)).runtime, null);
+});
+
+test("rejects when the key is wrong", async () => {
+  await assert.rejects(createProvider("wrong-key").search("iron", "movie"), {
+    message: "Metadata request failed with 401",
+  });
+});
+
+test("rejects details for an unknown ID", async () => {
+  await assert.rejects(
+    createProvider(MOCK_API_KEY).getDetails({
+      id: 1,
+      type: "movie",
+      title: "Missing",
+      year: null,
+      posterUrl: "",
+    }),
+    { message: "Metadata request failed with 404" },
+  );
+});
+
+test("stops when the lookup is aborted", async () => {
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(
+    createProvider(MOCK_API_KEY).search("iron", "movie", controller.signal),
+    { name: "AbortError" },
+  );
+});
@@ -0,0 +1,181 @@
+/**
+ * Watchlist+ sync relay
+ *
+ * A tiny WebSocket relay for live sync, with no dependencies beyond Node itself.
+ * Devices join a room named after their pairing code, and every message is
+ * forwarded to the other devices in that room. Nothing is stored, so restarting
+ * the relay loses nothing but open connections.
+ *
+ * With the "Direct" connection setting the relay only carries the WebRTC
+ * handshake, watchlist data then flows between the devices themselves. If the
+ * direct connection fails or doesn't open in time, the devices keep sending
+ * watchlist data through the handshake room instead.
+ *
+ * USAGE:
+ *   node tools/sync-relay.mjs [port]     (defaults to 8787)
+ * Then enter ws://<this machine's address>:<port> as the sync relay in settings.
+ *
+ * PROTOCOL (JSON text frames):
+ *   client -> relay  { type: "join", room: "pairing code" }
+ *   client -> relay  { type: "message", data: any }
+ *   relay -> client  { type: "peers", count: number }  (devices in the room, including you)
+ *   relay -> client  { type: "message", data: any }    (sent by another device in the room)
+ */
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+
+const PORT = Number(process.argv[2]) || 8787;
+const MAX_PAYLOAD = 1024 * 1024; // a watchlist state is far smaller than this
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const rooms = new Map(); // room -> Set of sockets
+
+const server = createServer((request, response) => {
+  response.writeHead(426, { "Content-Type": "text/plain" });
+  response.end("Watchlist+ sync relay, connect with a WebSocket.\n");
+});
+
+server.on("upgrade", (request, socket) => {
+  const key = request.headers["sec-websocket-key"];
+  if (request.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+
+  const accept = createHash("sha1")
+    .update(key + WEBSOCKET_GUID)
+    .digest("base64");
+  socket.write(
+    [
+      "HTTP/1.1 101 Switching Protocols",
+      "Upgrade: websocket",
+      "Connection: Upgrade",
+      `Sec-WebSocket-Accept: ${accept}`,
+      "",
+      "",
+    ].join("\r\n"),
+  );
+
+  handleConnection(socket);
+});
+
+function handleConnection(socket) {
+  let buffer = Buffer.alloc(0);
+  let room = null;
+
+  const leave = () => {
+    if (!room) return;
+    const peers = rooms.get(room);
+    peers.delete(socket);
+    if (peers.size === 0) rooms.delete(room);
+    else broadcastPeerCount(room);
+    room = null;
+  };
+
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    let frame;
+    while ((frame = readFrame(buffer))) {
+      buffer = buffer.subarray(frame.length);
+
+      if (frame.opcode === 0x8) {
+        socket.end(encodeFrame(Buffer.alloc(0), 0x8));
+        return;
+      }
+      if (frame.opcode === 0x9) {
+        socket.write(encodeFrame(frame.payload, 0xa));
+        continue;
+      }
+      if (frame.opcode !== 0x1) continue; // only unfragmented text frames are used
+
+      let message;
+      try {
+        message = JSON.parse(frame.payload.toString("utf8"));
+      } catch {
+        continue;
+      }
+
+      if (message.type === "join" && typeof message.room === "string") {
+        leave();
+        room = message.room;
+        if (!rooms.has(room)) rooms.set(room, new Set());
+        rooms.get(room).add(socket);
+        broadcastPeerCount(room);
+      } else if (message.type === "message" && room) {
+        const text = JSON.stringify({ type: "message", data: message.data });
+        rooms.get(room).forEach((peer) => {
+          if (peer !== socket) send(peer, text);
+        });
+      }
+    }
+
+    if (buffer.length > MAX_PAYLOAD + 14) socket.destroy();
+  });
+
+  socket.on("close", leave);
+  socket.on("error", leave);
+}
+
+function broadcastPeerCount(room) {
+  const peers = rooms.get(room);
+  const text = JSON.stringify({ type: "peers", count: peers.size });
+  peers.forEach((peer) => send(peer, text));
+}
+
+function send(socket, text) {
+  if (!socket.destroyed) socket.write(encodeFrame(Buffer.from(text), 0x1));
+}
+
+/**
+ * Parse one client frame from the front of the buffer, or null if it's incomplete
+ * Client frames are always masked
+ */
+function readFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const opcode = buffer[0] & 0x0f;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  if (buffer.length < offset + 4 + length) return null;
+
+  const mask = buffer.subarray(offset, offset + 4);
+  const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+  for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+
+  return { opcode, payload, length: offset + 4 + length };
+}
+
+function encodeFrame(payload, opcode) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+server.listen(PORT, () => {
+  console.log(`Watchlist+ sync relay listening on ws://localhost:${PORT}`);
+});